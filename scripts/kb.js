@@ -0,0 +1,269 @@
+/**
+ * Knowledge base command-line tools
+ *
+ * Usage:
+ *   node scripts/kb.js search "exponential backoff" [--limit 5] [--type pattern|practice|node|markdown]
+ *   node scripts/kb.js search "webhook signature" --format json
+ *   npm run kb -- search "continueOnFail" --kb-overlay domains/n8n/knowledge
+ *   node scripts/kb.js guides [--tag error-handling] [--collection airtable] [--language sql] [--file path.md]
+ *   node scripts/kb.js digest [--node-types a,b | --brief brief.txt] [--budget 6000] [--prompt-budget 1500]
+ *   npm run build-kb-digest
+ *   node scripts/kb.js domains [--format json]
+ *   node scripts/kb.js check-catalog [workflow-templates/ ...]
+ *   npm run check-catalog
+ *
+ * search ranks patterns, best practices, node catalog entries and the sections
+ * of the markdown guides in domains/<domain>/knowledge/advanced/, printing a
+ * snippet of each result with its source file and heading.
+ *
+ * guides lists the markdown guide sections (domains/<domain>/knowledge/advanced/
+ * and automation/cookbooks/) matching every filter, with their tags and the
+ * languages of their code blocks; --format json prints the full entries.
+ *
+ * digest builds the token-budgeted rule digest (src/kb-digest.js) for the
+ * given node types, the node types a brief calls for, or the whole catalog,
+ * and prints it as the QA prompt would see it. With --workflow it embeds the
+ * digest into the workflow's "Load Knowledge Base" Code node (--node) instead,
+ * which then hands the rules for the generated workflow's node types to the
+ * QA Validator Agent.
+ *
+ * domains lists the domains found in domains/ (src/domain-registry.js) with
+ * their KB files, guides, custom rules, templates, agents and skills.
+ *
+ * check-catalog is a sanity pass of the node catalog's requiredFields over
+ * real workflows (default workflow-templates/): every field it reports is
+ * either a real gap in the workflow or a catalog entry that n8n leaves out
+ * when it holds its default, which the validator would flag as an error.
+ */
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const KBLoader = require('../src/knowledge-base-loader');
+const { getBriefNodeTypes, buildDigest, renderDigest, createLoadKbCode } = require('../src/kb-digest');
+const domainRegistry = require('../src/domain-registry');
+const { resolveWorkflowFiles } = require('../src/validators/workflow-files');
+const requiredFieldsPresent = require('../src/validators/checks/required-fields-present');
+
+const { values: args, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    limit: { type: 'string', default: '10' },
+    type: { type: 'string' },
+    tag: { type: 'string' },
+    collection: { type: 'string' },
+    language: { type: 'string' },
+    file: { type: 'string' },
+    budget: { type: 'string', default: '6000' },
+    'prompt-budget': { type: 'string', default: '1500' },
+    'node-types': { type: 'string' },
+    brief: { type: 'string' },
+    workflow: { type: 'string' },
+    node: { type: 'string', default: 'Load Knowledge Base' },
+    format: { type: 'string', default: 'text' },
+    'kb-overlay': { type: 'string', multiple: true }
+  }
+});
+
+const TYPES = ['pattern', 'practice', 'node', 'markdown'];
+
+/**
+ * Human-readable search results
+ */
+function formatResults(query, results) {
+  if (results.length === 0) return `No results for "${query}"`;
+
+  return results.map((result, i) => [
+    `${i + 1}. [${result.type}] ${result.title}  (score ${result.score})`,
+    `   ${result.source}${result.line ? `:${result.line}` : ''}`,
+    `   ${result.heading}`,
+    `   ${result.snippet}`
+  ].join('\n')).join('\n\n');
+}
+
+/**
+ * kb search "<query>"
+ */
+async function search(query) {
+  const limit = Number(args.limit);
+  if (!query) throw new Error('Usage: kb search "<query>"');
+  if (!Number.isInteger(limit) || limit < 1) throw new Error('--limit must be a positive integer');
+  if (args.type && !TYPES.includes(args.type)) throw new Error(`--type must be one of ${TYPES.join(', ')}`);
+
+  const results = await KBLoader.search(query, {
+    limit,
+    type: args.type,
+    ...(args['kb-overlay'] ? { overlays: args['kb-overlay'] } : {})
+  });
+
+  console.log(args.format === 'json' ? JSON.stringify(results, null, 2) : formatResults(query, results));
+}
+
+/**
+ * Human-readable guide sections
+ */
+function formatGuides(entries) {
+  if (entries.length === 0) return 'No guide sections match';
+
+  return entries.map(entry => {
+    const languages = [...new Set(entry.codeBlocks.map(block => block.language))];
+    return [
+      `${entry.headingPath.join(' › ')}`,
+      `   ${entry.file}:${entry.line}`,
+      `   tags: ${entry.tags.join(', ')}` +
+        (languages.length > 0 ? `  code: ${entry.codeBlocks.length} (${languages.join(', ')})` : '')
+    ].join('\n');
+  }).join('\n');
+}
+
+/**
+ * kb guides [--tag ...] [--collection ...] [--language ...] [--file ...]
+ */
+async function guides() {
+  const kb = await KBLoader.load(args['kb-overlay'] ? { overlays: args['kb-overlay'] } : {});
+  const entries = KBLoader.findGuides(kb, {
+    tag: args.tag,
+    collection: args.collection,
+    language: args.language,
+    file: args.file
+  });
+
+  console.log(args.format === 'json' ? JSON.stringify(entries, null, 2) : formatGuides(entries));
+}
+
+/**
+ * Positive integer option
+ */
+function tokenOption(name) {
+  const value = Number(args[name]);
+  if (!Number.isInteger(value) || value < 1) throw new Error(`--${name} must be a positive integer`);
+  return value;
+}
+
+/**
+ * Embed a digest into a workflow's Code node
+ *
+ * Only the jsCode string is replaced, so the rest of the file keeps its
+ * formatting; files where it cannot be found verbatim are re-serialized.
+ */
+function embedDigest(file, nodeName, digest, options) {
+  const content = fs.readFileSync(file, 'utf-8');
+  const workflow = JSON.parse(content);
+  const node = (workflow.nodes || []).find(n => n.name === nodeName);
+  if (!node) throw new Error(`No node named "${nodeName}" in ${file}`);
+  if (node.type !== 'n8n-nodes-base.code') throw new Error(`"${nodeName}" is a ${node.type} node, not a Code node`);
+
+  const previous = JSON.stringify(node.parameters?.jsCode ?? '');
+  node.parameters = { ...node.parameters, jsCode: createLoadKbCode(digest, options) };
+
+  const parts = content.split(`"jsCode": ${previous}`);
+  fs.writeFileSync(file, parts.length === 2
+    ? parts.join(`"jsCode": ${JSON.stringify(node.parameters.jsCode)}`)
+    : JSON.stringify(workflow, null, 2) + '\n');
+}
+
+/**
+ * kb digest [--node-types ...] [--brief file] [--workflow file]
+ */
+async function digest() {
+  const budget = tokenOption('budget');
+  const promptBudget = tokenOption('prompt-budget');
+  if (args['node-types'] && args.brief) throw new Error('Use either --node-types or --brief');
+
+  const kb = await KBLoader.load(args['kb-overlay'] ? { overlays: args['kb-overlay'] } : {});
+  let nodeTypes = kb.nodeCatalog.map(node => node.type);
+  if (args['node-types']) nodeTypes = args['node-types'].split(',').map(type => type.trim()).filter(Boolean);
+  if (args.brief) nodeTypes = getBriefNodeTypes(fs.readFileSync(args.brief, 'utf-8'), kb.nodeCatalog);
+
+  const result = buildDigest(kb, { nodeTypes, budget });
+  const { stats } = result;
+  const summary = `${stats.digestItems} item(s), ${result.tokens}/${budget} tokens` +
+    (stats.droppedItems > 0 ? `, ${stats.droppedItems} dropped over budget` : '');
+
+  if (args.workflow) {
+    const source = kb.layers.map(layer => layer.source).join(' + ');
+    embedDigest(args.workflow, args.node, result, { promptBudget, source });
+    console.log(`✅ Embedded KB digest into "${args.node}" in ${args.workflow} (${summary})`);
+    return;
+  }
+
+  if (args.format === 'json') {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+  const { text, tokens } = renderDigest(result, nodeTypes, promptBudget);
+  console.log(text);
+  console.log(`\n${summary}; prompt ${tokens}/${promptBudget} tokens`);
+}
+
+/**
+ * Human-readable domain listing
+ */
+function formatDomains(domains) {
+  if (domains.length === 0) return 'No domains in domains/';
+
+  const names = items => items.map(item => item.name).join(', ');
+  return domains.map(domain => {
+    const lines = [`${domain.name}  (${domain.dir})`];
+    if (domain.description) lines.push(`   ${domain.description}`);
+    if (domain.knowledge) {
+      lines.push(`   knowledge: ${Object.keys(domain.knowledge.files).join(', ')}` +
+        (domain.knowledge.overlay ? ' (overlay)' : ' (served from knowledge-bases/)'));
+    }
+    if (domain.guides.length > 0) lines.push(`   guides: ${domain.guides.length}`);
+    if (domain.rulesDir) lines.push(`   rules: ${domain.rulesDir}`);
+    if (domain.templates.length > 0) lines.push(`   templates: ${names(domain.templates)}`);
+    if (domain.agents.length > 0) lines.push(`   agents: ${names(domain.agents)}`);
+    if (domain.skills.length > 0) lines.push(`   skills: ${names(domain.skills)}`);
+    return lines.join('\n');
+  }).join('\n\n');
+}
+
+/**
+ * kb domains
+ */
+async function domains() {
+  const found = domainRegistry.getDomains();
+  console.log(args.format === 'json' ? JSON.stringify(found, null, 2) : formatDomains(found));
+}
+
+/**
+ * kb check-catalog [paths...]
+ */
+async function checkCatalog() {
+  const inputs = positionals.slice(1);
+  const files = resolveWorkflowFiles(inputs.length > 0 ? inputs : ['workflow-templates/']);
+  if (files.length === 0) throw new Error(`No workflow files found in ${inputs.join(', ') || 'workflow-templates/'}`);
+
+  const kb = await KBLoader.load(args['kb-overlay'] ? { overlays: args['kb-overlay'] } : {});
+  let missing = 0;
+  for (const file of files) {
+    let workflow;
+    try {
+      workflow = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (error) {
+      console.log(`⚠️  ${file}: skipped, ${error.message}`);
+      continue;
+    }
+
+    const nodes = Array.isArray(workflow.nodes) ? workflow.nodes : [];
+    const issues = requiredFieldsPresent.check({ ...workflow, nodes }, { kb });
+    missing += issues.length;
+    console.log(issues.length === 0 ? `✅ ${file}` : `❌ ${file}\n${issues.map(issue => `   ${issue.message}`).join('\n')}`);
+  }
+
+  console.log(`\n${files.length} file(s), ${missing} missing required field(s)`);
+  if (missing > 0) process.exitCode = 1;
+}
+
+const COMMANDS = { search, guides, digest, domains, 'check-catalog': checkCatalog };
+
+(async () => {
+  const [command, ...rest] = positionals;
+  if (!COMMANDS[command]) {
+    throw new Error(`Unknown command "${command || ''}" (available: ${Object.keys(COMMANDS).join(', ')})`);
+  }
+  await COMMANDS[command](rest.join(' '));
+})().catch(error => {
+  console.error('❌ Error:', error.message);
+  process.exit(1);
+});
@@ -7,7 +7,9 @@
 
 const fs = require('fs');
 const path = require('path');
-const N8nMCP = require('./n8n-setup.js');
+const N8nMCPSetup = require('./n8n-setup.js');
+
+const N8nMCP = new N8nMCPSetup();
 
 async function deployPhase1() {
   console.log('\n╔════════════════════════════════════════════════════════════════╗');
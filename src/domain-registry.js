@@ -0,0 +1,290 @@
+/**
+ * Domain Registry
+ * Discovers the domains under domains/ and what each one provides
+ *
+ * A domain is any folder in domains/. Nothing needs registering: its parts
+ * are found by layout, and all of them are optional:
+ *   knowledge/patterns/patterns.json, nodes/catalog.json,
+ *     validation/rules.json, best-practices/practices.json   KB files
+ *   knowledge/advanced/*.md      markdown guides
+ *   rules/*.js                   custom validator rules (see validators/rule-engine)
+ *   workflows/templates/*.json   workflow templates
+ *   agents/*.md                  agent definitions (front matter: name, description, tools, model)
+ *   skills/<skill>/SKILL.md, skills/*.md   skills (front matter or first heading)
+ *
+ * The knowledge base loader stacks each domain's KB files on knowledge-bases/
+ * as an overlay, the loader's guide ingestion reads the markdown guides, and
+ * the validator loads the custom rules. knowledge-bases/ itself is the KB of
+ * the n8n domain (BASE_DOMAIN); domains/n8n/knowledge keeps a copy from the
+ * monorepo restructure, which is not stacked again.
+ *
+ * Usage:
+ *   const registry = require('./domain-registry');
+ *   registry.getDomainNames();   // ['airtable', 'databases', 'integrations', 'n8n']
+ *   registry.getAgents();        // every domain's agents
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { splitSections } = require('./markdown-sections');
+
+const REPO_ROOT = path.join(__dirname, '..');
+
+// Domain whose KB is knowledge-bases/ rather than an overlay
+const BASE_DOMAIN = 'n8n';
+
+// Where a domain's knowledge/ directory keeps each KB file, keyed like KnowledgeBaseLoader.files
+const DOMAIN_LAYOUT = {
+  patterns: 'patterns/patterns.json',
+  nodeCatalog: 'nodes/catalog.json',
+  validationRules: 'validation/rules.json',
+  bestPractices: 'best-practices/practices.json'
+};
+
+/**
+ * Names of the entries of a directory matching a filter, sorted; none when it does not exist
+ */
+function listDir(dir, filter) {
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).filter(filter).map(entry => entry.name).sort();
+}
+
+/**
+ * Front matter fields of a markdown document (flat "key: value" lines, [a, b] lists)
+ * @param {string} content
+ * @returns {Object}
+ */
+function parseFrontMatter(content) {
+  const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---/);
+  if (!match) return {};
+
+  const fields = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    const field = line.match(/^([\w-]+):\s*(.*?)\s*$/);
+    if (!field) continue;
+    const list = field[2].match(/^\[(.*)\]$/);
+    fields[field[1]] = list ? list[1].split(',').map(item => item.trim()).filter(Boolean) : field[2];
+  }
+  return fields;
+}
+
+/**
+ * Name and description of an agent or skill document: front matter, else its
+ * first heading and first paragraph
+ */
+function describeDocument(filePath, fallbackName) {
+  const content = fs.readFileSync(filePath, 'utf-8');
+  const fields = parseFrontMatter(content);
+  const sections = splitSections(content.replace(/^---\r?\n[\s\S]*?\r?\n---/, ''));
+  const heading = sections.find(section => section.level === 1);
+  const paragraph = sections.map(section => section.text.split(/\n\s*\n/)[0].trim())
+    .find(block => block && !/^-{3,}$/.test(block));
+
+  return {
+    ...fields,
+    name: fields.name || fallbackName,
+    title: heading ? heading.title : null,
+    description: fields.description || (paragraph ? paragraph.replace(/^\*\*[^*]+:\*\*\s*/, '').replace(/\s+/g, ' ') : null)
+  };
+}
+
+class DomainRegistry {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.rootDir] - Repo root holding domains/ (default: this repo)
+   */
+  constructor(options = {}) {
+    this.rootDir = options.rootDir || REPO_ROOT;
+    this.domainsDir = path.join(this.rootDir, 'domains');
+  }
+
+  /**
+   * Repo-relative path with forward slashes
+   */
+  relative(filePath) {
+    return path.relative(this.rootDir, filePath).split(path.sep).join('/');
+  }
+
+  /**
+   * Folder names in domains/, scanned on every call so new folders are picked up
+   * @returns {Array<string>}
+   */
+  getDomainNames() {
+    return listDir(this.domainsDir, entry => entry.isDirectory());
+  }
+
+  /**
+   * Every domain and what it provides
+   * @returns {Array<Object>} { name, dir, description, knowledge, guides, rulesDir, templates, agents, skills };
+   *   paths are repo-relative
+   */
+  getDomains() {
+    return this.getDomainNames().map(name => this.describeDomain(name));
+  }
+
+  /**
+   * One domain by folder name
+   * @param {string} name
+   * @returns {Object|null}
+   */
+  getDomain(name) {
+    return this.getDomainNames().includes(name) ? this.describeDomain(name) : null;
+  }
+
+  /**
+   * Everything one domain folder provides
+   */
+  describeDomain(name) {
+    const readme = path.join(this.domainsDir, name, 'README.md');
+
+    return {
+      name,
+      dir: this.relative(path.join(this.domainsDir, name)),
+      description: fs.existsSync(readme) ? describeDocument(readme, name).description : null,
+      knowledge: this.findKnowledge(name),
+      guides: this.findGuides(name),
+      rulesDir: this.findRulesDir(name),
+      templates: this.findTemplates(name),
+      agents: this.findAgents(name),
+      skills: this.findSkills(name)
+    };
+  }
+
+  /**
+   * KB files of a domain
+   * @returns {Object|null} { dir, files: { patterns, ... }, overlay }; null without KB files
+   */
+  findKnowledge(name) {
+    const dir = path.join(this.domainsDir, name, 'knowledge');
+    const files = {};
+    for (const [key, file] of Object.entries(DOMAIN_LAYOUT)) {
+      if (fs.existsSync(path.join(dir, file))) files[key] = this.relative(path.join(dir, file));
+    }
+
+    if (Object.keys(files).length === 0) return null;
+    return { dir: this.relative(dir), files, overlay: name !== BASE_DOMAIN };
+  }
+
+  /**
+   * Markdown guides of a domain
+   * @returns {Array<string>} Repo-relative paths
+   */
+  findGuides(name) {
+    const dir = path.join(this.domainsDir, name, 'knowledge', 'advanced');
+    return listDir(dir, entry => entry.isFile() && entry.name.endsWith('.md'))
+      .map(file => this.relative(path.join(dir, file)));
+  }
+
+  /**
+   * Custom rules directory of a domain
+   * @returns {string|null} Repo-relative path; null without rule modules
+   */
+  findRulesDir(name) {
+    const dir = path.join(this.domainsDir, name, 'rules');
+    return listDir(dir, entry => entry.isFile() && entry.name.endsWith('.js')).length > 0 ? this.relative(dir) : null;
+  }
+
+  /**
+   * Workflow templates of a domain, named by their workflow name
+   * @returns {Array<{name: string, file: string}>}
+   */
+  findTemplates(name) {
+    const dir = path.join(this.domainsDir, name, 'workflows', 'templates');
+    return listDir(dir, entry => entry.isFile() && entry.name.endsWith('.json')).map(file => {
+      let workflowName = null;
+      try {
+        workflowName = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf-8')).name || null;
+      } catch (error) {
+        // Listed by file name; the validator reports the syntax error
+      }
+      return { name: workflowName || path.basename(file, '.json'), file: this.relative(path.join(dir, file)) };
+    });
+  }
+
+  /**
+   * Agent definitions of a domain
+   * @returns {Array<Object>} { name, title, description, file, ...front matter }
+   */
+  findAgents(name) {
+    const dir = path.join(this.domainsDir, name, 'agents');
+    return listDir(dir, entry => entry.isFile() && entry.name.endsWith('.md')).map(file => ({
+      ...describeDocument(path.join(dir, file), path.basename(file, '.md')),
+      file: this.relative(path.join(dir, file))
+    }));
+  }
+
+  /**
+   * Skills of a domain: skills/<skill>/SKILL.md and single-file skills/*.md
+   * @returns {Array<Object>} { name, title, description, file, ...front matter }
+   */
+  findSkills(name) {
+    const dir = path.join(this.domainsDir, name, 'skills');
+    const files = [
+      ...listDir(dir, entry => entry.isDirectory() && fs.existsSync(path.join(dir, entry.name, 'SKILL.md')))
+        .map(skill => [skill, path.join(dir, skill, 'SKILL.md')]),
+      ...listDir(dir, entry => entry.isFile() && entry.name.endsWith('.md'))
+        .map(file => [path.basename(file, '.md'), path.join(dir, file)])
+    ];
+
+    return files.map(([skill, file]) => ({ ...describeDocument(file, skill), file: this.relative(file) }));
+  }
+
+  /**
+   * KB directories of the domains stacked on knowledge-bases/, in domain order
+   * @returns {Array<string>} Absolute paths
+   */
+  getKnowledgeOverlays() {
+    return this.getDomainNames()
+      .map(name => this.findKnowledge(name))
+      .filter(knowledge => knowledge?.overlay)
+      .map(knowledge => path.join(this.rootDir, knowledge.dir));
+  }
+
+  /**
+   * Markdown guides of every domain
+   * @returns {Array<{domain: string, file: string}>} file is repo-relative
+   */
+  getGuides() {
+    return this.getDomainNames().flatMap(name => this.findGuides(name).map(file => ({ domain: name, file })));
+  }
+
+  /**
+   * Custom rule directories of every domain
+   * @returns {Array<string>} Absolute paths
+   */
+  getRuleDirs() {
+    return this.getDomainNames()
+      .map(name => this.findRulesDir(name))
+      .filter(Boolean)
+      .map(dir => path.join(this.rootDir, dir));
+  }
+
+  /**
+   * Workflow templates of every domain
+   * @returns {Array<{domain: string, name: string, file: string}>}
+   */
+  getTemplates() {
+    return this.getDomainNames().flatMap(name => this.findTemplates(name).map(template => ({ domain: name, ...template })));
+  }
+
+  /**
+   * Agent definitions of every domain
+   * @returns {Array<Object>} { domain, name, description, file, ...front matter }
+   */
+  getAgents() {
+    return this.getDomainNames().flatMap(name => this.findAgents(name).map(agent => ({ domain: name, ...agent })));
+  }
+
+  /**
+   * Skills of every domain
+   * @returns {Array<Object>} { domain, name, description, file, ...front matter }
+   */
+  getSkills() {
+    return this.getDomainNames().flatMap(name => this.findSkills(name).map(skill => ({ domain: name, ...skill })));
+  }
+}
+
+// For use as module
+module.exports = new DomainRegistry();
+module.exports.DomainRegistry = DomainRegistry;
+module.exports.DOMAIN_LAYOUT = DOMAIN_LAYOUT;
@@ -0,0 +1,134 @@
+/**
+ * Minimal JSON Schema (draft-07) validator for the knowledge base schemas
+ *
+ * Supports the keywords knowledge-bases/schemas/ uses: type, enum, const,
+ * required, properties, additionalProperties, items, minItems, uniqueItems,
+ * minLength, pattern, minimum, anyOf, if/then/else and local $ref (#/definitions/...).
+ * Unknown keywords are ignored, as the specification allows.
+ */
+
+const { toJsonPointer } = require('./validators/helpers');
+
+/**
+ * JSON type name of a value (integers report as number)
+ */
+function getType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Whether a value is of a schema type
+ */
+function isType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  return getType(value) === type;
+}
+
+/**
+ * Resolve a local $ref against the root schema
+ */
+function resolveRef(ref, root) {
+  if (!ref.startsWith('#/')) throw new Error(`Unsupported $ref ${ref}`);
+
+  let target = root;
+  for (const part of ref.slice(2).split('/')) {
+    target = target?.[part.replace(/~1/g, '/').replace(/~0/g, '~')];
+  }
+  if (!target) throw new Error(`Unresolved $ref ${ref}`);
+  return target;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value
+ * @param {Object} schema
+ * @param {Object} [root] - Schema $refs resolve against (defaults to schema)
+ * @param {Array<string|number>} [pathArray] - Location of value in the document
+ * @returns {Array<{path: string, message: string}>} path is a JSON Pointer
+ */
+function validateSchema(value, schema, root = schema, pathArray = []) {
+  if (schema.$ref) return validateSchema(value, resolveRef(schema.$ref, root), root, pathArray);
+
+  const errors = [];
+  const fail = (message, at = pathArray) => errors.push({ path: toJsonPointer(at), message });
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => isType(value, type))) {
+      fail(`must be ${types.join(' or ')}, got ${getType(value)}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    fail(`must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}, got ${JSON.stringify(value)}`);
+  }
+  if ('const' in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    fail(`must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (schema.if) {
+    const branch = validateSchema(value, schema.if, root, pathArray).length === 0 ? schema.then : schema.else;
+    if (branch) errors.push(...validateSchema(value, branch, root, pathArray));
+  }
+
+  if (schema.anyOf) {
+    const matches = schema.anyOf.some(option => validateSchema(value, option, root, pathArray).length === 0);
+    if (!matches) fail('does not match any of the allowed shapes');
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(`must be at least ${schema.minLength} character(s)`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(`must match ${schema.pattern}, got ${JSON.stringify(value)}`);
+    }
+  }
+
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    fail(`must be >= ${schema.minimum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.uniqueItems) {
+      const seen = new Set();
+      value.forEach((item, i) => {
+        const key = JSON.stringify(item);
+        if (seen.has(key)) fail(`duplicates an earlier item (${key})`, [...pathArray, i]);
+        seen.add(key);
+      });
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, root, [...pathArray, i])));
+    }
+  }
+
+  if (getType(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) fail(`is missing required property "${key}"`);
+    }
+
+    for (const [key, item] of Object.entries(value)) {
+      const propertySchema = schema.properties?.[key];
+      if (propertySchema) {
+        errors.push(...validateSchema(item, propertySchema, root, [...pathArray, key]));
+      } else if (schema.additionalProperties === false) {
+        fail('is not an allowed property', [...pathArray, key]);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(item, schema.additionalProperties, root, [...pathArray, key]));
+      }
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  validateSchema
+};
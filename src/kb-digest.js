@@ -0,0 +1,194 @@
+/**
+ * Knowledge Base Digest
+ * Compact, token-budgeted extract of the KB for LLM prompts
+ *
+ * The digest holds one-line items, each with a priority (0 = most important):
+ *   general     rules and patterns that apply to every workflow
+ *   byNodeType  catalog entry, rules and patterns for one node type
+ * Items are kept in priority order until the token budget is spent. Tokens
+ * are estimated at 4 characters each.
+ *
+ * renderDigest() picks the items for the node types of one workflow within a
+ * smaller per-prompt budget; createLoadKbCode() embeds a digest and
+ * renderDigest() in the source of the workflow builder's "Load Knowledge
+ * Base" Code node.
+ */
+
+const { splitRequirements, parseRequirement } = require('./validators/requirements');
+
+const RULE_PRIORITY = { error: 0, warning: 1, info: 2 };
+const PATTERN_PRIORITY = { critical: 0, major: 1, minor: 2 };
+
+/**
+ * Rough token count of a text
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Node catalog types a brief calls for: its triggers and the services of its actions
+ * @param {string} brief
+ * @param {Array<Object>} nodeCatalog - kb.nodeCatalog
+ * @returns {Array<string>}
+ */
+function getBriefNodeTypes(brief, nodeCatalog) {
+  const matchers = splitRequirements(brief).flatMap(text => {
+    const { trigger, actions } = parseRequirement(text);
+    return [...(trigger ? [trigger.nodeType] : []), ...actions.map(action => action.service.nodeType)];
+  });
+
+  return nodeCatalog.map(node => node.type).filter(type => matchers.some(regex => regex.test(type)));
+}
+
+/**
+ * Every candidate digest item, before budgeting
+ */
+function collectItems(kb, nodeTypes) {
+  const items = [];
+  const rules = Object.values(kb.validationRules).flatMap(category => category.rules || []);
+  const linkedPatterns = new Set(rules.map(rule => rule.pattern_id).filter(Boolean));
+  const appliesToAll = types => !types || types.length === 0 || types.includes('all');
+
+  for (const node of kb.nodeCatalog.filter(n => nodeTypes.includes(n.type))) {
+    const required = node.requiredFields.length > 0 ? `required ${node.requiredFields.join(', ')}` : 'no required fields';
+    items.push({
+      priority: 0,
+      section: node.type,
+      text: `${node.name} typeVersion ${node.nodeVersion}, ${required}${node.notes ? `. ${node.notes}` : ''}`
+    });
+  }
+
+  for (const rule of rules) {
+    const item = { priority: RULE_PRIORITY[rule.severity] ?? 1, text: `${rule.name}: ${rule.fix || rule.check}` };
+    if (appliesToAll(rule.nodeTypes)) items.push({ ...item, section: 'general' });
+    else rule.nodeTypes.filter(type => nodeTypes.includes(type)).forEach(type => items.push({ ...item, section: type }));
+  }
+
+  for (const pattern of kb.patterns) {
+    if (linkedPatterns.has(pattern.id)) continue; // Covered by its rule
+    const item = { priority: PATTERN_PRIORITY[pattern.priority] ?? 1, text: `${pattern.name}: ${pattern.rule} (${pattern.why})` };
+    if (appliesToAll(pattern.nodeTypes)) items.push({ ...item, section: 'general' });
+    else pattern.nodeTypes.filter(type => nodeTypes.includes(type)).forEach(type => items.push({ ...item, section: type }));
+  }
+
+  return items;
+}
+
+/**
+ * Build a token-budgeted digest
+ * @param {Object} kb - From KnowledgeBaseLoader.load()
+ * @param {Object} [options]
+ * @param {Array<string>} [options.nodeTypes] - Node types to cover (default: the whole catalog)
+ * @param {number} [options.budget] - Token budget for all items (default 6000)
+ * @returns {Object} { budget, tokens, general, byNodeType, stats }; items are [priority, text]
+ */
+function buildDigest(kb, options = {}) {
+  const nodeTypes = options.nodeTypes || kb.nodeCatalog.map(node => node.type);
+  const budget = options.budget ?? 6000;
+  const candidates = collectItems(kb, nodeTypes);
+
+  // Stable sort keeps catalog order within a priority
+  const ranked = candidates.map((item, i) => ({ ...item, i })).sort((a, b) => a.priority - b.priority || a.i - b.i);
+  const kept = [];
+  let tokens = 0;
+  for (const item of ranked) {
+    const cost = estimateTokens(item.text);
+    if (tokens + cost > budget) continue;
+    kept.push(item);
+    tokens += cost;
+  }
+  kept.sort((a, b) => a.i - b.i);
+
+  const digest = { budget, tokens, general: [], byNodeType: {} };
+  for (const { section, priority, text } of kept) {
+    const list = section === 'general' ? digest.general : (digest.byNodeType[section] ||= []);
+    list.push([priority, text]);
+  }
+  digest.stats = {
+    patterns: kb.patterns.length,
+    nodes: kb.nodeCatalog.length,
+    validationRules: Object.values(kb.validationRules).reduce((sum, category) => sum + (category.rules || []).length, 0),
+    bestPractices: Object.values(kb.bestPractices).reduce((sum, category) => sum + (category.practices || []).length, 0),
+    digestItems: kept.length,
+    droppedItems: candidates.length - kept.length
+  };
+
+  return digest;
+}
+
+/**
+ * Digest text for the node types of one workflow, within a token budget
+ *
+ * Self-contained so createLoadKbCode() can embed its source in a Code node.
+ * @param {Object} digest - From buildDigest()
+ * @param {Array<string>} nodeTypes - Node types of the workflow
+ * @param {number} budget - Token budget
+ * @returns {{text: string, tokens: number}} Markdown-style sections, general rules first
+ */
+function renderDigest(digest, nodeTypes, budget) {
+  const sections = [['All workflows', digest.general],
+    ...[...new Set(nodeTypes)].filter(type => digest.byNodeType[type]).map(type => [type, digest.byNodeType[type]])];
+  const ranked = sections.flatMap(([title, list], s) =>
+    list.map(([priority, text], i) => ({ title, priority, text, order: s * 1000 + i })));
+  ranked.sort((a, b) => a.priority - b.priority || a.order - b.order);
+
+  const picked = [];
+  let tokens = 0;
+  for (const item of ranked) {
+    const cost = Math.ceil(item.text.length / 4);
+    if (tokens + cost > budget) continue;
+    picked.push(item);
+    tokens += cost;
+  }
+  picked.sort((a, b) => a.order - b.order);
+
+  const lines = [];
+  picked.forEach((item, i) => {
+    if (i === 0 || item.title !== picked[i - 1].title) lines.push(`## ${item.title}`);
+    lines.push(`- ${item.text}`);
+  });
+  return { text: lines.join('\n'), tokens };
+}
+
+/**
+ * Source of the "Load Knowledge Base" Code node with a digest embedded
+ *
+ * The node renders the digest for the node types of $json.workflowJson and
+ * passes it on as kbDigest, keeping the incoming fields.
+ * @param {Object} digest - From buildDigest()
+ * @param {Object} [options]
+ * @param {number} [options.promptBudget] - Tokens of digest passed to the prompt (default 1500)
+ * @param {string} [options.source] - Where the digest came from
+ * @returns {string}
+ */
+function createLoadKbCode(digest, options = {}) {
+  const promptBudget = options.promptBudget ?? 1500;
+  const source = options.source || 'knowledge-bases';
+
+  return [
+    `// Generated by \`npm run kb -- digest\` from ${source}; rebuild instead of editing`,
+    `const KB_DIGEST = ${JSON.stringify(digest)};`,
+    `const PROMPT_BUDGET = ${promptBudget};`,
+    `const renderDigest = ${renderDigest.toString().replace(/\r\n/g, '\n')};`,
+    '',
+    'const previousData = $input.first().json;',
+    'try {',
+    '  const nodeTypes = (previousData.workflowJson?.nodes || []).map(node => node.type);',
+    '  const { text, tokens } = renderDigest(KB_DIGEST, nodeTypes, PROMPT_BUDGET);',
+    `  return [{ json: { ...previousData, knowledgeBaseReady: true, qaValidationStarting: true, source: ${JSON.stringify(source)}, kbStats: KB_DIGEST.stats, kbDigest: text, kbDigestTokens: tokens } }];`,
+    '} catch (e) {',
+    "  return [{ json: { error: true, message: 'KB load failed: ' + e.message, stage: 'kb-load' } }];",
+    '}'
+  ].join('\n');
+}
+
+module.exports = {
+  estimateTokens,
+  getBriefNodeTypes,
+  buildDigest,
+  renderDigest,
+  createLoadKbCode
+};
@@ -0,0 +1,81 @@
+/**
+ * Knowledge Base Index
+ * Lookup maps over a loaded knowledge base, built once per kb object
+ *
+ *   patterns            pattern id -> pattern
+ *   nodes               node type -> catalog entry
+ *   rules               rule id -> rule (ruleCategories: rule id -> category name)
+ *   practices           practice id -> practice
+ *   patternsByNodeType  node type -> patterns naming it in nodeTypes
+ *   rulesByNodeType     node type -> rules naming it in nodeTypes
+ *   globalRules         rules without nodeTypes, which apply to every node
+ *
+ * Works on any object shaped like KnowledgeBaseLoader.load() output, so
+ * callers handing a hand-built kb to the validator get the same lookups.
+ */
+
+// Indexes built per knowledge base object
+const indexes = new WeakMap();
+
+/**
+ * Append a value to the list stored under a key
+ */
+function addTo(map, key, value) {
+  if (!map.has(key)) map.set(key, []);
+  map.get(key).push(value);
+}
+
+/**
+ * Build the lookup maps of a knowledge base
+ * @param {Object} kb
+ * @returns {Object}
+ */
+function buildIndex(kb) {
+  const index = {
+    patterns: new Map(),
+    nodes: new Map(),
+    rules: new Map(),
+    ruleCategories: new Map(),
+    practices: new Map(),
+    patternsByNodeType: new Map(),
+    rulesByNodeType: new Map(),
+    globalRules: []
+  };
+
+  for (const pattern of kb.patterns || []) {
+    index.patterns.set(pattern.id, pattern);
+    for (const type of pattern.nodeTypes || []) addTo(index.patternsByNodeType, type, pattern);
+  }
+
+  for (const node of kb.nodeCatalog || []) index.nodes.set(node.type, node);
+
+  for (const [categoryName, category] of Object.entries(kb.validationRules || {})) {
+    for (const rule of category.rules || []) {
+      index.rules.set(rule.id, rule);
+      index.ruleCategories.set(rule.id, categoryName);
+      if (!rule.nodeTypes || rule.nodeTypes.length === 0) index.globalRules.push(rule);
+      for (const type of rule.nodeTypes || []) addTo(index.rulesByNodeType, type, rule);
+    }
+  }
+
+  for (const category of Object.values(kb.bestPractices || {})) {
+    for (const practice of category.practices || []) index.practices.set(practice.id, practice);
+  }
+
+  return index;
+}
+
+/**
+ * Lookup maps of a knowledge base, built on first use
+ * @param {Object} kb - From KnowledgeBaseLoader.load()
+ * @returns {Object} See the file header
+ */
+function getIndex(kb) {
+  if (!indexes.has(kb)) indexes.set(kb, buildIndex(kb));
+  return indexes.get(kb);
+}
+
+module.exports = {
+  buildIndex,
+  getIndex
+};
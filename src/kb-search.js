@@ -0,0 +1,208 @@
+/**
+ * Knowledge Base Search
+ * BM25-ranked full-text search over KB entries and markdown guide sections
+ *
+ * Documents: patterns, best practices, node catalog entries (description and
+ * notes) and the markdown guide sections in kb.guides. Titles count twice;
+ * tags are indexed as keywords but kept out of snippets. Words are
+ * lowercased, camelCase identifiers also index their parts (continueOnFail ->
+ * continue, on, fail) and a plural "s" is dropped, so "retries" finds "retry".
+ *
+ * Usage:
+ *   const index = new SearchIndex(buildDocuments(kb));
+ *   index.search('exponential backoff', { limit: 5 });
+ */
+
+const STOPWORDS = new Set(['a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'how', 'i', 'in', 'is',
+  'it', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'use', 'with', 'when', 'what']);
+const SNIPPET_LENGTH = 240;
+
+/**
+ * Normalize a word: lowercase, drop a plural "s"
+ */
+function normalizeTerm(word) {
+  const term = word.toLowerCase();
+  if (term.length > 3 && term.endsWith('ies')) return `${term.slice(0, -3)}y`;
+  if (term.length > 3 && term.endsWith('s') && !term.endsWith('ss')) return term.slice(0, -1);
+  return term;
+}
+
+/**
+ * Split text into search terms
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  const terms = [];
+
+  for (const word of String(text).match(/[A-Za-z0-9]+/g) || []) {
+    const parts = word.split(/(?<=[a-z0-9])(?=[A-Z])/);
+    for (const part of parts.length > 1 ? [word, ...parts] : [word]) {
+      const term = normalizeTerm(part);
+      if (!STOPWORDS.has(term)) terms.push(term);
+    }
+  }
+
+  return terms;
+}
+
+/**
+ * Search documents for the knowledge base entries and guide sections
+ * @param {Object} kb - From KnowledgeBaseLoader.load()
+ * @returns {Array<Object>} { id, type, title, heading, source, text, keywords }
+ */
+function buildDocuments(kb) {
+  const documents = [];
+  const sourceOf = (collection, id, fallback) => kb.provenance?.[collection]?.[id]?.file || fallback;
+
+  for (const pattern of kb.patterns || []) {
+    documents.push({
+      id: pattern.id,
+      type: 'pattern',
+      title: pattern.name,
+      heading: `${pattern.category} › ${pattern.name}`,
+      source: sourceOf('patterns', pattern.id, 'knowledge-bases/patterns.json'),
+      text: [pattern.rule, pattern.why, pattern.problemStatement, pattern.errorMessage, pattern.solution,
+        pattern.workaround, pattern.example ? JSON.stringify(pattern.example) : ''].filter(Boolean).join('\n'),
+      keywords: (pattern.tags || []).join(' ')
+    });
+  }
+
+  for (const [categoryName, category] of Object.entries(kb.bestPractices || {})) {
+    for (const practice of category.practices || []) {
+      documents.push({
+        id: practice.id,
+        type: 'practice',
+        title: practice.practice,
+        heading: `${category.title || categoryName} › ${practice.id}`,
+        source: sourceOf('practices', practice.id, 'knowledge-bases/best-practices.json'),
+        text: [practice.why, practice.example, practice.impact, practice.fix,
+          typeof practice.config === 'string' ? practice.config : ''].filter(Boolean).join('\n')
+      });
+    }
+  }
+
+  for (const node of kb.nodeCatalog || []) {
+    documents.push({
+      id: node.type,
+      type: 'node',
+      title: node.name,
+      heading: `Nodes › ${node.name} (${node.type})`,
+      source: sourceOf('nodes', node.type, 'knowledge-bases/node-catalog.json'),
+      text: [node.description, node.notes, (node.requiredFields || []).join(' ')].filter(Boolean).join('\n')
+    });
+  }
+
+  for (const entry of kb.guides || []) {
+    documents.push({
+      id: entry.id,
+      type: 'markdown',
+      title: entry.title,
+      heading: entry.headingPath.join(' › '),
+      source: entry.file,
+      line: entry.line,
+      text: entry.text,
+      keywords: entry.tags.join(' ')
+    });
+  }
+
+  return documents;
+}
+
+/**
+ * Excerpt of text around the first query term, on whole words
+ * @param {string} text
+ * @param {Set<string>} terms - Normalized query terms
+ * @returns {string}
+ */
+function makeSnippet(text, terms) {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  if (flat.length <= SNIPPET_LENGTH) return flat;
+
+  let start = 0;
+  for (const match of flat.matchAll(/[A-Za-z0-9]+/g)) {
+    if (tokenize(match[0]).some(term => terms.has(term))) {
+      start = Math.max(0, match.index - SNIPPET_LENGTH / 4);
+      break;
+    }
+  }
+
+  start = Math.min(start, flat.length - SNIPPET_LENGTH);
+  if (start > 0) start = flat.indexOf(' ', start) + 1;
+  let end = start + SNIPPET_LENGTH;
+  if (end < flat.length) end = flat.lastIndexOf(' ', end);
+
+  return `${start > 0 ? '…' : ''}${flat.slice(start, end).trim()}${end < flat.length ? '…' : ''}`;
+}
+
+class SearchIndex {
+  /**
+   * @param {Array<Object>} documents - From buildDocuments()
+   * @param {Object} [options]
+   * @param {number} [options.k1] - BM25 term frequency saturation
+   * @param {number} [options.b] - BM25 length normalization
+   */
+  constructor(documents, options = {}) {
+    this.k1 = options.k1 ?? 1.2;
+    this.b = options.b ?? 0.75;
+    this.documents = documents;
+    this.postings = new Map();
+    this.lengths = [];
+
+    documents.forEach((doc, i) => {
+      const terms = [...tokenize(doc.title), ...tokenize(doc.title), ...tokenize(doc.text), ...tokenize(doc.keywords || '')];
+      this.lengths.push(terms.length);
+
+      const counts = new Map();
+      for (const term of terms) counts.set(term, (counts.get(term) || 0) + 1);
+      for (const [term, count] of counts) {
+        if (!this.postings.has(term)) this.postings.set(term, []);
+        this.postings.get(term).push([i, count]);
+      }
+    });
+
+    this.averageLength = this.lengths.reduce((a, b) => a + b, 0) / Math.max(documents.length, 1);
+  }
+
+  /**
+   * Rank documents for a query
+   * @param {string} query
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Maximum results (default 10)
+   * @param {string} [options.type] - Only pattern, practice, node or markdown documents
+   * @returns {Array<Object>} { score, id, type, title, heading, source, line, snippet }
+   */
+  search(query, options = {}) {
+    const terms = [...new Set(tokenize(query))];
+    const scores = new Map();
+    const total = this.documents.length;
+
+    for (const term of terms) {
+      const postings = this.postings.get(term) || [];
+      const idf = Math.log(1 + (total - postings.length + 0.5) / (postings.length + 0.5));
+
+      for (const [i, frequency] of postings) {
+        const norm = 1 - this.b + this.b * (this.lengths[i] / this.averageLength);
+        const score = idf * (frequency * (this.k1 + 1)) / (frequency + this.k1 * norm);
+        scores.set(i, (scores.get(i) || 0) + score);
+      }
+    }
+
+    const termSet = new Set(terms);
+    return [...scores]
+      .filter(([i]) => !options.type || this.documents[i].type === options.type)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, options.limit ?? 10)
+      .map(([i, score]) => {
+        const { text, keywords, ...doc } = this.documents[i];
+        return { score: Math.round(score * 100) / 100, ...doc, snippet: makeSnippet(text, termSet) };
+      });
+  }
+}
+
+module.exports = {
+  tokenize,
+  buildDocuments,
+  makeSnippet,
+  SearchIndex
+};
@@ -2,65 +2,350 @@
  * Knowledge Base Loader for n8n QA Validator
  * Loads and validates all knowledge base JSON files
  *
+ * Each file is checked against its JSON Schema in knowledge-bases/schemas/,
+ * then for consistency: declared totals match the arrays, ids are unique and
+ * relatedPatterns, rule pattern_id and rule nodeTypes resolve. Any problem
+ * fails the load with its file and JSON Pointer.
+ *
+ * Overlays: the KB files of the domains in domains/ (see ./domain-registry),
+ * then further KB directories (load({ overlays }) or KB_OVERLAYS, separated
+ * like PATH) are stacked on knowledge-bases/ in order. An overlay holds any of
+ * the four files, named as in knowledge-bases/ or laid out like
+ * domains/<domain>/knowledge/ (patterns/patterns.json, nodes/catalog.json, ...).
+ * Entries (patterns, nodes, rules, auto-corrections, practices) merge by id:
+ *   same id             replaces the entry from the lower layer
+ *   new id              is appended
+ *   { id, disabled: true }  removes the entry
+ * References to a disabled pattern (relatedPatterns, rule pattern_id) or
+ * node type (rule nodeTypes) are dropped with it; a rule left without any of
+ * its node types is removed too.
+ * Category fields and validationScores merge key by key. kb.provenance records
+ * the layer and file every entry came from, and which layers it overrode.
+ *
+ * kb.guides holds the markdown guides (domains/<domain>/knowledge/advanced/*.md
+ * and automation/cookbooks/*.md) as one entry per section, with heading path,
+ * tags and code blocks (see ./markdown-knowledge); findGuides() filters them.
+ * search(query) ranks patterns, practices, catalog nodes and guide sections
+ * (see ./kb-search).
+ *
+ * Caching: load() keeps one knowledge base per overlay stack and returns it
+ * while the source files (KB files, schemas, overlays, guides) are unchanged:
+ * same size and mtime, or else the same SHA-256 content hash (kb.contentHash).
+ * Cached objects are shared, so treat them as read-only; load({ cache: false })
+ * forces a fresh read. watch() reloads on file changes and emits 'change'.
+ * getPattern(), getNode(), getRule() and getRulesForNodeType() look entries up
+ * through the maps of ./kb-index instead of scanning the arrays.
+ *
  * Usage in n8n Code Node:
  * const KBLoader = require('./knowledge-base-loader.js');
  * const kb = await KBLoader.load();
  * return [{ json: kb }];
+ *
+ * Long-running services:
+ * const watcher = KBLoader.watch();
+ * KBLoader.on('change', (kb, { previousHash }) => { ... });
+ * watcher.close();
  */
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { validateSchema } = require('./json-schema');
+const { toJsonPointer } = require('./validators/helpers');
+const { SearchIndex, buildDocuments } = require('./kb-search');
+const { findMarkdownFiles, loadMarkdownKnowledge, filterEntries } = require('./markdown-knowledge');
+const { getIndex } = require('./kb-index');
+const domainRegistry = require('./domain-registry');
+
+const REPO_ROOT = path.join(__dirname, '..');
+
+// Pattern tags that rank rather than describe, not used to tag guide sections
+const PRIORITY_TAGS = ['critical', 'major', 'minor'];
+
+// Search indexes built per loaded knowledge base
+const searchIndexes = new WeakMap();
+
+// Where overlay directories in the domains/<domain>/knowledge layout keep each file
+const { DOMAIN_LAYOUT } = domainRegistry;
+
+// Entry lists in each file, merged by id across layers
+const ENTRY_LISTS = {
+  patterns: data => [
+    { collection: 'patterns', idField: 'id', pathArray: ['patterns'], entries: data.patterns || [] }
+  ],
+  nodeCatalog: data => [
+    { collection: 'nodes', idField: 'type', pathArray: ['nodes'], entries: data.nodes || [] }
+  ],
+  validationRules: data => [
+    ...Object.entries(data.validationCategories || {}).map(([category, { rules }]) => (
+      { collection: 'rules', idField: 'id', pathArray: ['validationCategories', category, 'rules'], entries: rules || [] }
+    )),
+    { collection: 'autoCorrections', idField: 'id', pathArray: ['autoCorrections'], entries: data.autoCorrections || [] }
+  ],
+  bestPractices: data => Object.entries(data.categories || {}).map(([category, { practices }]) => (
+    { collection: 'practices', idField: 'id', pathArray: ['categories', category, 'practices'], entries: practices || [] }
+  ))
+};
 
-class KnowledgeBaseLoader {
+class KnowledgeBaseLoader extends EventEmitter {
   constructor() {
+    super();
     this.kbDir = path.join(__dirname, '../knowledge-bases');
+    this.rootDir = REPO_ROOT;
     this.files = {
       patterns: 'patterns.json',
       nodeCatalog: 'node-catalog.json',
       validationRules: 'validation-rules.json',
       bestPractices: 'best-practices.json'
     };
+    // Overlay stack -> { kb, hash, fingerprint }
+    this.cache = new Map();
   }
 
   /**
-   * Load all knowledge base files
+   * Load all knowledge base files, or return the cached knowledge base while they are unchanged
+   * @param {Object} [options]
+   * @param {Array<string>} [options.overlays] - KB directories stacked on the base, lowest first
+   *   (defaults to KB_OVERLAYS)
+   * @param {boolean} [options.domains] - false to leave out the KB files of domains/
+   * @param {boolean} [options.cache] - false to read the files even when unchanged
    * @returns {Promise<Object>} Merged knowledge base
    */
-  async load() {
+  async load(options = {}) {
+    const overlayDirs = this.getOverlayDirs(options);
+    const key = overlayDirs.join(path.delimiter);
+    const cached = options.cache === false ? null : this.cache.get(key);
+
     try {
-      const patterns = this.loadJSON(this.files.patterns);
-      const nodeCatalog = this.loadJSON(this.files.nodeCatalog);
-      const validationRules = this.loadJSON(this.files.validationRules);
-      const bestPractices = this.loadJSON(this.files.bestPractices);
-
-      return {
-        version: '1.0.0',
-        loadedAt: new Date().toISOString(),
-        patterns: patterns.patterns || [],
-        nodeCatalog: nodeCatalog.nodes || [],
-        validationRules: validationRules.validationCategories || {},
-        bestPractices: bestPractices.categories || {},
-        principles: bestPractices.principles || [],
-        stats: {
-          patternCount: patterns.totalPatterns || 0,
-          nodeCount: nodeCatalog.totalNodes || 0,
-          validationRuleCount: this.countRules(validationRules),
-          practiceCount: this.countPractices(bestPractices)
-        }
-      };
+      const files = this.getSourceFiles(overlayDirs);
+      const fingerprint = files.map(file => {
+        const stats = fs.statSync(file);
+        return `${file}:${stats.size}:${stats.mtimeMs}`;
+      }).join('\n');
+      if (cached && cached.fingerprint === fingerprint) return cached.kb;
+
+      const hash = this.hashFiles(files);
+      if (cached && cached.hash === hash) {
+        cached.fingerprint = fingerprint;
+        return cached.kb;
+      }
+
+      const kb = this.readKnowledgeBase(overlayDirs);
+      kb.contentHash = hash;
+      this.cache.set(key, { kb, hash, fingerprint });
+      return kb;
     } catch (error) {
       throw new Error(`Failed to load knowledge base: ${error.message}`);
     }
   }
 
+  /**
+   * Forget cached knowledge bases, so the next load() reads every file
+   */
+  clearCache() {
+    this.cache.clear();
+  }
+
+  /**
+   * Read, validate and merge the base layer and overlays
+   * @param {Array<string>} overlayDirs - Absolute paths, lowest first
+   * @returns {Object} Merged knowledge base
+   */
+  readKnowledgeBase(overlayDirs) {
+    const layers = [
+      this.readLayer(this.kbDir, true),
+      ...overlayDirs.map(dir => this.readLayer(dir, false))
+    ];
+
+    let problems = layers.flatMap(layer => this.validate(layer));
+    if (problems.length === 0) {
+      const { files, provenance, origins } = this.mergeLayers(layers);
+      this.dropDisabledReferences(files, provenance, origins);
+      problems = this.checkReferences(files, origins);
+      if (problems.length === 0) return this.createKnowledgeBase(files, layers, provenance);
+    }
+
+    throw new Error(`${problems.length} problem(s) in knowledge base files:\n` +
+      problems.map(p => `  ${p.file}#${p.path}: ${p.message}`).join('\n'));
+  }
+
+  /**
+   * Files a knowledge base is built from: KB files and schemas, overlay files
+   * and markdown guides. Missing files are left to readKnowledgeBase() to report.
+   * @param {Array<string>} overlayDirs - Absolute paths
+   * @returns {Array<string>} Absolute paths
+   */
+  getSourceFiles(overlayDirs) {
+    const files = Object.values(this.files).flatMap(filename => [
+      path.join(this.kbDir, filename),
+      path.join(this.kbDir, 'schemas', filename.replace(/\.json$/, '.schema.json'))
+    ]);
+
+    for (const dir of overlayDirs) {
+      for (const [key, filename] of Object.entries(this.files)) {
+        const found = [filename, DOMAIN_LAYOUT[key]].find(candidate => fs.existsSync(path.join(dir, candidate)));
+        if (found) files.push(path.join(dir, found));
+      }
+    }
+
+    files.push(...findMarkdownFiles(this.rootDir).map(file => file.path));
+    return files.filter(file => fs.existsSync(file));
+  }
+
+  /**
+   * SHA-256 over the names and contents of files
+   * @param {Array<string>} files - Absolute paths
+   * @returns {string} Hex digest
+   */
+  hashFiles(files) {
+    const hash = crypto.createHash('sha256');
+    for (const file of files) {
+      hash.update(path.relative(this.rootDir, file)).update('\0').update(fs.readFileSync(file)).update('\0');
+    }
+    return hash.digest('hex');
+  }
+
+  /**
+   * Reload the knowledge base whenever one of its files changes
+   *
+   * Emits 'change' (kb, { previousHash, hash, files }) after a reload that
+   * changed the content, and 'error' (error) when a reload fails; the previous
+   * knowledge base stays cached until the files load again. Without an 'error'
+   * listener, failures are logged instead.
+   * @param {Object} [options] - As for load(), plus:
+   * @param {number} [options.debounce] - Milliseconds to wait for more changes (default 100)
+   * @param {boolean} [options.persistent] - Keep the process running while watching (default true)
+   * @returns {{ready: Promise<Object>, close: Function}} ready resolves to the first load
+   */
+  watch(options = {}) {
+    const overlayDirs = this.getOverlayDirs(options);
+    const loadOptions = { ...options, cache: true };
+    const changed = new Set();
+    let current = null;
+    let timer = null;
+
+    const reload = async () => {
+      const files = [...changed];
+      changed.clear();
+      try {
+        const kb = await this.load(loadOptions);
+        if (kb === current) return;
+        const previousHash = current?.contentHash;
+        current = kb;
+        this.emit('change', kb, { previousHash, hash: kb.contentHash, files });
+      } catch (error) {
+        if (this.listenerCount('error') > 0) this.emit('error', error);
+        else console.error('❌ Knowledge base reload failed:', error.message);
+      }
+    };
+
+    // domains/ too, so new domain folders are picked up
+    const dirs = new Set([this.kbDir, domainRegistry.domainsDir, ...overlayDirs,
+      ...this.getSourceFiles(overlayDirs).map(file => path.dirname(file))]);
+    const watchers = [...dirs].filter(dir => fs.existsSync(dir)).map(dir =>
+      fs.watch(dir, { persistent: options.persistent ?? true }, (event, filename) => {
+        changed.add(path.relative(this.rootDir, path.join(dir, filename || '')).split(path.sep).join('/'));
+        clearTimeout(timer);
+        timer = setTimeout(reload, options.debounce ?? 100);
+      }));
+
+    const ready = this.load(loadOptions).then(kb => (current = kb));
+
+    return {
+      ready,
+      close() {
+        clearTimeout(timer);
+        watchers.forEach(watcher => watcher.close());
+      }
+    };
+  }
+
+  /**
+   * Assemble the knowledge base object from merged files
+   */
+  createKnowledgeBase({ patterns, nodeCatalog, validationRules, bestPractices }, layers, provenance) {
+    const vocabulary = [...new Set(patterns.patterns.flatMap(p => p.tags || []))]
+      .filter(tag => !PRIORITY_TAGS.includes(tag));
+    const guides = loadMarkdownKnowledge(this.rootDir, { vocabulary });
+
+    return {
+      version: '1.0.0',
+      loadedAt: new Date().toISOString(),
+      patterns: patterns.patterns,
+      nodeCatalog: nodeCatalog.nodes,
+      validationRules: validationRules.validationCategories,
+      validationScores: validationRules.validationScores,
+      autoCorrections: validationRules.autoCorrections,
+      bestPractices: bestPractices.categories,
+      principles: bestPractices.principles,
+      guides,
+      layers: layers.map(layer => ({
+        source: layer.source,
+        files: Object.values(layer.files).map(file => file.name)
+      })),
+      provenance,
+      stats: {
+        patternCount: patterns.patterns.length,
+        nodeCount: nodeCatalog.nodes.length,
+        validationRuleCount: this.countRules(validationRules),
+        practiceCount: this.countPractices(bestPractices),
+        guideCount: new Set(guides.map(entry => entry.file)).size,
+        guideSectionCount: guides.length
+      }
+    };
+  }
+
+  /**
+   * Overlay directories: domain KBs, then options.overlays or the KB_OVERLAYS environment variable
+   * @returns {Array<string>} Absolute paths
+   */
+  getOverlayDirs(options) {
+    const overlays = options.overlays ||
+      (process.env.KB_OVERLAYS || '').split(path.delimiter).filter(Boolean);
+    const domains = options.domains === false ? [] : domainRegistry.getKnowledgeOverlays();
+    return [...new Set([...domains, ...overlays.map(dir => path.resolve(dir))])];
+  }
+
+  /**
+   * Read the knowledge base files present in one layer directory
+   * @param {string} dir
+   * @param {boolean} isBase - The base layer must hold every file
+   * @returns {{source: string, files: Object}} files keyed like this.files: { name, data }
+   */
+  readLayer(dir, isBase) {
+    const relative = path.relative(REPO_ROOT, dir);
+    const source = relative.startsWith('..') ? dir : relative || '.';
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+      throw new Error(`Knowledge base directory not found: ${source}`);
+    }
+
+    const files = {};
+    for (const [key, filename] of Object.entries(this.files)) {
+      const candidates = isBase ? [filename] : [filename, DOMAIN_LAYOUT[key]];
+      const found = candidates.find(candidate => fs.existsSync(path.join(dir, candidate)));
+
+      if (found) {
+        files[key] = { name: path.join(source, found).split(path.sep).join('/'), data: this.loadJSON(path.join(dir, found)) };
+      } else if (isBase) {
+        this.loadJSON(path.join(dir, filename)); // Throws with the missing file's name
+      }
+    }
+
+    if (Object.keys(files).length === 0) {
+      throw new Error(`Knowledge base overlay ${source} contains none of ${Object.values(this.files).join(', ')}`);
+    }
+    return { source, files };
+  }
+
   /**
    * Load and parse a JSON file
-   * @param {string} filename
+   * @param {string} filename - Absolute, or relative to the knowledge base directory
    * @returns {Object} Parsed JSON
    */
   loadJSON(filename) {
     try {
-      const filePath = path.join(this.kbDir, filename);
+      const filePath = path.resolve(this.kbDir, filename);
       const content = fs.readFileSync(filePath, 'utf-8');
       return JSON.parse(content);
     } catch (error) {
@@ -68,6 +353,285 @@ class KnowledgeBaseLoader {
     }
   }
 
+  /**
+   * Check the files of one layer against their schemas, declared totals and unique ids
+   * @param {Object} layer - From readLayer()
+   * @returns {Array<{file: string, path: string, message: string}>} path is a JSON Pointer
+   */
+  validate(layer) {
+    const problems = [];
+
+    for (const [key, { name, data }] of Object.entries(layer.files)) {
+      const report = (pathArray, message) => problems.push({ file: name, path: toJsonPointer(pathArray), message });
+
+      const schema = this.loadJSON(path.join('schemas', this.files[key].replace(/\.json$/, '.schema.json')));
+      const errors = validateSchema(data, schema);
+      errors.forEach(error => problems.push({ file: name, ...error }));
+      if (errors.length > 0) continue;
+
+      for (const [property, list, noun] of [['totalPatterns', data.patterns, 'patterns'], ['totalNodes', data.nodes, 'nodes']]) {
+        if (data[property] !== undefined && data[property] !== list.length) {
+          report([property], `declares ${data[property]} ${noun} but the file has ${list.length}`);
+        }
+      }
+
+      // Ids are unique per collection, across categories too
+      const seen = new Map();
+      for (const { collection, idField, pathArray, entries } of ENTRY_LISTS[key](data)) {
+        entries.forEach((entry, i) => {
+          const id = `${collection}:${entry[idField]}`;
+          if (seen.has(id)) report([...pathArray, i], `duplicates id "${entry[idField]}" (first at ${seen.get(id)})`);
+          else seen.set(id, toJsonPointer([...pathArray, i]));
+        });
+      }
+    }
+
+    return problems;
+  }
+
+  /**
+   * Stack layers into one set of files
+   * @param {Array<Object>} layers - From readLayer(), lowest first
+   * @returns {{files: Object, provenance: Object, origins: WeakMap}} origins maps each
+   *   merged entry to the { file, pathArray } it was read from
+   */
+  mergeLayers(layers) {
+    const files = {
+      patterns: { patterns: [] },
+      nodeCatalog: { nodes: [] },
+      validationRules: { validationCategories: {}, validationScores: {}, autoCorrections: [] },
+      bestPractices: { categories: {}, principles: [] }
+    };
+    const provenance = { patterns: {}, nodes: {}, rules: {}, autoCorrections: {}, practices: {} };
+    const origins = new WeakMap();
+
+    for (const layer of layers) {
+      for (const [key, { name, data }] of Object.entries(layer.files)) {
+        const merged = files[key];
+
+        // Category fields and scores merge key by key; entry lists are merged below
+        for (const [categories, listField] of [['validationCategories', 'rules'], ['categories', 'practices']]) {
+          for (const [categoryName, { [listField]: entries, ...fields }] of Object.entries(data[categories] || {})) {
+            merged[categories][categoryName] = {
+              ...merged[categories][categoryName],
+              ...fields,
+              [listField]: merged[categories][categoryName]?.[listField] || []
+            };
+          }
+        }
+        if (data.validationScores) Object.assign(merged.validationScores, data.validationScores);
+        for (const principle of data.principles || []) {
+          if (!merged.principles.includes(principle)) merged.principles.push(principle);
+        }
+
+        const targets = ENTRY_LISTS[key](merged);
+        for (const list of ENTRY_LISTS[key](data)) {
+          const target = targets.find(t => toJsonPointer(t.pathArray) === toJsonPointer(list.pathArray)).entries;
+          this.mergeEntries(target, list, { source: layer.source, file: name }, provenance, origins);
+        }
+      }
+    }
+
+    return { files, provenance, origins };
+  }
+
+  /**
+   * Merge one layer's entry list into the merged list: replace, append or disable by id
+   */
+  mergeEntries(target, { collection, idField, pathArray, entries }, { source, file }, provenance, origins) {
+    entries.forEach((entry, i) => {
+      const id = entry[idField];
+      const index = target.findIndex(e => e[idField] === id);
+      const previous = provenance[collection][id];
+      const record = { source, file, pointer: toJsonPointer([...pathArray, i]) };
+      if (previous) record.overrides = [...(previous.overrides || []), previous.source];
+
+      if (entry.disabled === true) {
+        if (index !== -1) target.splice(index, 1);
+        provenance[collection][id] = { ...record, disabled: true };
+        return;
+      }
+
+      if (index !== -1) target[index] = entry;
+      else target.push(entry);
+      provenance[collection][id] = record;
+      origins.set(entry, { file, pathArray: [...pathArray, i] });
+    });
+  }
+
+  /**
+   * Remove references to the patterns and node types a layer disabled
+   *
+   * Referencing entries are replaced by edited copies, leaving the parsed
+   * layer files as read.
+   * @param {Object} files - From mergeLayers()
+   * @param {Object} provenance - From mergeLayers(); rules removed here are recorded as disabled
+   * @param {WeakMap} origins - From mergeLayers()
+   */
+  dropDisabledReferences(files, provenance, origins) {
+    const disabledIds = collection => new Set(Object.keys(provenance[collection])
+      .filter(id => provenance[collection][id].disabled));
+    const patternIds = disabledIds('patterns');
+    const nodeTypes = disabledIds('nodes');
+    if (patternIds.size === 0 && nodeTypes.size === 0) return;
+
+    // Copy of an entry with fields changed; undefined removes a field
+    const replace = (list, index, fields) => {
+      const copy = { ...list[index], ...fields };
+      for (const key of Object.keys(fields)) if (fields[key] === undefined) delete copy[key];
+      origins.set(copy, origins.get(list[index]));
+      list[index] = copy;
+    };
+
+    for (const list of [files.patterns.patterns, files.nodeCatalog.nodes]) {
+      list.forEach((entry, i) => {
+        if ((entry.relatedPatterns || []).some(id => patternIds.has(id))) {
+          replace(list, i, { relatedPatterns: entry.relatedPatterns.filter(id => !patternIds.has(id)) });
+        }
+      });
+    }
+
+    for (const category of Object.values(files.validationRules.validationCategories)) {
+      for (let i = category.rules.length - 1; i >= 0; i--) {
+        const rule = category.rules[i];
+        const types = (rule.nodeTypes || []).filter(type => !nodeTypes.has(type));
+        if (rule.nodeTypes?.length > 0 && types.length === 0) {
+          category.rules.splice(i, 1);
+          provenance.rules[rule.id] = { ...provenance.rules[rule.id], disabled: true, disabledWith: rule.nodeTypes };
+          continue;
+        }
+
+        const fields = {};
+        if (rule.nodeTypes && types.length < rule.nodeTypes.length) fields.nodeTypes = types;
+        if (patternIds.has(rule.pattern_id)) fields.pattern_id = undefined;
+        if (Object.keys(fields).length > 0) replace(category.rules, i, fields);
+      }
+    }
+  }
+
+  /**
+   * Unique rule ids and references between the merged files; problems point at
+   * the layer file the offending entry came from
+   * @param {Object} files - From mergeLayers()
+   * @param {WeakMap} origins - From mergeLayers()
+   * @returns {Array<{file: string, path: string, message: string}>}
+   */
+  checkReferences({ patterns, nodeCatalog, validationRules }, origins) {
+    const problems = [];
+    const report = (entry, pathArray, message) => {
+      const origin = origins.get(entry);
+      problems.push({ file: origin.file, path: toJsonPointer([...origin.pathArray, ...pathArray]), message });
+    };
+
+    const rules = Object.values(validationRules.validationCategories).flatMap(category => category.rules);
+    const ruleIds = new Set();
+    for (const rule of rules) {
+      if (ruleIds.has(rule.id)) report(rule, [], `duplicates rule id "${rule.id}" from another category`);
+      ruleIds.add(rule.id);
+    }
+
+    const patternIds = new Set(patterns.patterns.map(p => p.id));
+    const nodeTypes = new Set(nodeCatalog.nodes.map(n => n.type));
+
+    for (const item of [...patterns.patterns, ...nodeCatalog.nodes]) {
+      (item.relatedPatterns || []).forEach((id, j) => {
+        if (!patternIds.has(id)) report(item, ['relatedPatterns', j], `references unknown pattern "${id}"`);
+      });
+    }
+
+    for (const rule of rules) {
+      if (rule.pattern_id && !patternIds.has(rule.pattern_id)) {
+        report(rule, ['pattern_id'], `references unknown pattern "${rule.pattern_id}"`);
+      }
+      (rule.nodeTypes || []).forEach((type, j) => {
+        if (!nodeTypes.has(type)) {
+          report(rule, ['nodeTypes', j], `references node type "${type}" missing from the node catalog`);
+        }
+      });
+    }
+
+    return problems;
+  }
+
+  /**
+   * Pattern by id
+   * @param {Object} kb - From load()
+   * @param {string} id
+   * @returns {Object|undefined}
+   */
+  getPattern(kb, id) {
+    return getIndex(kb).patterns.get(id);
+  }
+
+  /**
+   * Node catalog entry by node type
+   * @param {Object} kb - From load()
+   * @param {string} type - e.g. n8n-nodes-base.webhook
+   * @returns {Object|undefined}
+   */
+  getNode(kb, type) {
+    return getIndex(kb).nodes.get(type);
+  }
+
+  /**
+   * Validation rule by id, with the category it is listed under
+   * @param {Object} kb - From load()
+   * @param {string} id
+   * @returns {Object|undefined} The rule plus category
+   */
+  getRule(kb, id) {
+    const index = getIndex(kb);
+    const rule = index.rules.get(id);
+    return rule && { ...rule, category: index.ruleCategories.get(id) };
+  }
+
+  /**
+   * Validation rules that apply to a node type: those naming it and those without nodeTypes
+   * @param {Object} kb - From load()
+   * @param {string} type
+   * @returns {Array<Object>}
+   */
+  getRulesForNodeType(kb, type) {
+    const index = getIndex(kb);
+    return [...(index.rulesByNodeType.get(type) || []), ...index.globalRules];
+  }
+
+  /**
+   * Guide sections matching every given filter
+   * @param {Object} kb - From load()
+   * @param {Object} [filters] - { tag, collection, language, file }
+   * @returns {Array<Object>} Entries from kb.guides
+   */
+  findGuides(kb, filters = {}) {
+    return filterEntries(kb.guides, filters);
+  }
+
+  /**
+   * Search index over a loaded knowledge base and its guides, built once per kb
+   * @param {Object} kb - From load()
+   * @returns {SearchIndex}
+   */
+  getSearchIndex(kb) {
+    if (!searchIndexes.has(kb)) {
+      searchIndexes.set(kb, new SearchIndex(buildDocuments(kb)));
+    }
+    return searchIndexes.get(kb);
+  }
+
+  /**
+   * Full-text search over the knowledge base and the markdown guides
+   * @param {string} query
+   * @param {Object} [options]
+   * @param {Object} [options.kb] - Loaded knowledge base (loaded with options.overlays when omitted)
+   * @param {number} [options.limit] - Maximum results (default 10)
+   * @param {string} [options.type] - pattern, practice, node or markdown
+   * @returns {Promise<Array<Object>>} { score, id, type, title, heading, source, line, snippet }
+   */
+  async search(query, options = {}) {
+    const kb = options.kb || await this.load(options);
+    return this.getSearchIndex(kb).search(query, options);
+  }
+
   /**
    * Count total rules in validation rules
    */
@@ -138,13 +702,17 @@ class KnowledgeBaseLoader {
   }
 
   /**
-   * Create a summary of the knowledge base
+   * Create a summary of the knowledge base, with the layers it was stacked
+   * from and the provenance of every entry
    */
   getSummary(kb) {
     return {
       version: kb.version,
       loadedAt: kb.loadedAt,
+      contentHash: kb.contentHash,
       stats: kb.stats,
+      layers: kb.layers,
+      provenance: kb.provenance,
       readyForValidation: true
     };
   }
@@ -153,11 +721,25 @@ class KnowledgeBaseLoader {
 // For use as module
 module.exports = new KnowledgeBaseLoader();
 
-// For direct execution (testing)
+// For direct execution (testing): node src/knowledge-base-loader.js [--watch] [overlay-dir ...]
 if (require.main === module) {
   (async () => {
     try {
-      const kb = await module.exports.load();
+      const watch = process.argv.includes('--watch');
+      const overlays = process.argv.slice(2).filter(arg => arg !== '--watch');
+      const options = overlays.length > 0 ? { overlays } : {};
+
+      if (watch) {
+        const loader = module.exports;
+        loader.on('change', (kb, { files }) => {
+          console.log(`🔄 Reloaded after changes to ${files.join(', ')} (${kb.contentHash.slice(0, 12)})`);
+        });
+        const kb = await loader.watch(options).ready;
+        console.log(`👀 Watching knowledge base ${kb.contentHash.slice(0, 12)}; Ctrl+C to stop`);
+        return;
+      }
+
+      const kb = await module.exports.load(options);
       console.log('✅ Knowledge Base Loaded Successfully');
       console.log(module.exports.getSummary(kb));
     } catch (error) {
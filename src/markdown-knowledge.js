@@ -0,0 +1,151 @@
+/**
+ * Markdown Knowledge
+ * Turns markdown guides into structured entries next to the JSON knowledge base
+ *
+ * Sources (relative to the repo root):
+ *   domains/<domain>/knowledge/advanced/*.md   collection = <domain>
+ *   automation/cookbooks/*.md                  collection = cookbooks
+ *
+ * Every heading becomes an entry:
+ *   { id, collection, file, line, title, headingPath, tags, text, codeBlocks: [{ language, code }] }
+ * Tags are the collection, the document slug (009-stripe.md -> stripe), the
+ * document's **Difficulty:**, code block languages, n8n node types used in
+ * the section and KB pattern tags (e.g. error-handling) found in its heading
+ * path or text.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { splitSections } = require('./markdown-sections');
+const { DomainRegistry } = require('./domain-registry');
+
+const CODE_BLOCK = /^[ \t]*(```|~~~)[ \t]*([\w+#-]*)[^\n]*\n([\s\S]*?)^[ \t]*\1[ \t]*$/gm;
+const NODE_TYPE = /n8n-nodes-base\.(\w+)/g;
+const DIFFICULTY = /^\*\*Difficulty:\*\*\s*(\w+)/m;
+
+/**
+ * Markdown files of every source, in a stable order; domain guides come from
+ * the domain registry
+ * @param {string} rootDir - Repo root
+ * @returns {Array<{file: string, collection: string, path: string}>} file is repo-relative
+ */
+function findMarkdownFiles(rootDir) {
+  const files = new DomainRegistry({ rootDir }).getGuides()
+    .map(({ domain, file }) => ({ collection: domain, file }));
+
+  const cookbooksDir = path.join(rootDir, 'automation', 'cookbooks');
+  if (fs.existsSync(cookbooksDir)) {
+    files.push(...fs.readdirSync(cookbooksDir)
+      .filter(name => name.endsWith('.md'))
+      .sort()
+      .map(name => ({ collection: 'cookbooks', file: `automation/cookbooks/${name}` })));
+  }
+
+  return files.map(entry => ({ ...entry, path: path.join(rootDir, entry.file) }));
+}
+
+/**
+ * Fenced code blocks with their language ("text" when the fence names none)
+ * @param {string} text
+ * @returns {Array<{language: string, code: string}>}
+ */
+function extractCodeBlocks(text) {
+  return [...text.matchAll(CODE_BLOCK)].map(match => ({
+    language: match[2].toLowerCase() || 'text',
+    code: match[3].replace(/\s+$/, '')
+  }));
+}
+
+/**
+ * Case-insensitive whole-word regex for a tag, matching "error-handling" as "error handling" too
+ */
+function toWordRegExp(tag) {
+  const words = tag.split('-').map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`\\b${words.join('[\\s-]')}\\b`, 'i');
+}
+
+/**
+ * URL-style slug of a heading
+ */
+function slugify(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'section';
+}
+
+/**
+ * Parse one markdown document into entries
+ * @param {string} content
+ * @param {Object} source
+ * @param {string} source.file - Repo-relative path
+ * @param {string} source.collection - Domain name or "cookbooks"
+ * @param {Array<string>} [source.vocabulary] - KB tags to recognize (e.g. ['error-handling'])
+ * @returns {Array<Object>}
+ */
+function parseMarkdownEntries(content, { file, collection, vocabulary = [] }) {
+  const documentTags = [collection, path.basename(file, '.md').toLowerCase().replace(/^\d+-/, '')];
+  const difficulty = content.match(DIFFICULTY);
+  if (difficulty) documentTags.push(difficulty[1].toLowerCase());
+
+  const ids = new Set();
+  return splitSections(content)
+    .filter(section => section.title && section.text && !/^table of contents$/i.test(section.title))
+    .map(section => {
+      let id = `${file}#${slugify(section.title)}`;
+      for (let n = 2; ids.has(id); n++) id = `${file}#${slugify(section.title)}-${n}`;
+      ids.add(id);
+
+      const codeBlocks = extractCodeBlocks(section.text);
+      const searchable = `${section.headingPath.join(' ')} ${section.text}`;
+      const tags = [
+        ...documentTags,
+        ...codeBlocks.map(block => block.language).filter(language => language !== 'text'),
+        ...[...section.text.matchAll(NODE_TYPE)].map(match => match[1]),
+        ...vocabulary.filter(tag => toWordRegExp(tag).test(searchable))
+      ];
+
+      return {
+        id,
+        collection,
+        file,
+        line: section.line,
+        title: section.title,
+        headingPath: section.headingPath,
+        tags: [...new Set(tags)],
+        text: section.text,
+        codeBlocks
+      };
+    });
+}
+
+/**
+ * Parse every markdown source under a repo root
+ * @param {string} rootDir
+ * @param {Object} [options]
+ * @param {Array<string>} [options.vocabulary] - KB tags to recognize
+ * @returns {Array<Object>} Entries of all documents
+ */
+function loadMarkdownKnowledge(rootDir, options = {}) {
+  return findMarkdownFiles(rootDir).flatMap(({ file, collection, path: filePath }) =>
+    parseMarkdownEntries(fs.readFileSync(filePath, 'utf-8'), { file, collection, vocabulary: options.vocabulary }));
+}
+
+/**
+ * Entries matching every given filter
+ * @param {Array<Object>} entries
+ * @param {Object} [filters] - { tag, collection, language, file }
+ * @returns {Array<Object>}
+ */
+function filterEntries(entries, filters = {}) {
+  return entries.filter(entry =>
+    (!filters.tag || entry.tags.includes(filters.tag)) &&
+    (!filters.collection || entry.collection === filters.collection) &&
+    (!filters.language || entry.codeBlocks.some(block => block.language === filters.language)) &&
+    (!filters.file || entry.file === filters.file));
+}
+
+module.exports = {
+  findMarkdownFiles,
+  extractCodeBlocks,
+  parseMarkdownEntries,
+  loadMarkdownKnowledge,
+  filterEntries
+};
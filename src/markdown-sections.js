@@ -0,0 +1,54 @@
+/**
+ * Markdown Sections
+ * Splits a markdown guide into one section per heading, for search and ingestion
+ *
+ * Headings inside fenced code blocks (``` or ~~~) are code, not sections.
+ * Each section carries its heading path from the document title down, e.g.
+ * ['n8n Error Handling Cookbook (2025)', 'Retry Strategies', '2. Exponential Backoff'].
+ */
+
+const HEADING = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const FENCE = /^\s*(```|~~~)/;
+
+/**
+ * Split markdown into sections
+ * @param {string} markdown
+ * @returns {Array<Object>} { title, level, headingPath, line, text } (line is 1-based)
+ */
+function splitSections(markdown) {
+  const sections = [];
+  const stack = [];
+  let current = { title: null, level: 0, headingPath: [], line: 1, lines: [] };
+  let fence = null;
+
+  const lines = markdown.split(/\r?\n/);
+  lines.forEach((line, i) => {
+    const fenceMatch = line.match(FENCE);
+    if (fenceMatch) {
+      if (!fence) fence = fenceMatch[1];
+      else if (fenceMatch[1] === fence) fence = null;
+    }
+
+    const heading = !fence && !fenceMatch && line.match(HEADING);
+    if (!heading) {
+      current.lines.push(line);
+      return;
+    }
+
+    sections.push(current);
+    const level = heading[1].length;
+    while (stack.length > 0 && stack[stack.length - 1].level >= level) stack.pop();
+    stack.push({ level, title: heading[2] });
+
+    current = { title: heading[2], level, headingPath: stack.map(h => h.title), line: i + 1, lines: [] };
+  });
+  sections.push(current);
+
+  return sections
+    .map(({ lines: body, ...section }) => ({ ...section, text: body.join('\n').trim() }))
+    .filter(section => section.title || section.text);
+}
+
+module.exports = {
+  splitSections
+};
@@ -4,10 +4,24 @@
  * n8n MCP Setup & Connection Script
  * Initializes persistent connection to n8n Cloud instance
  * Auto-loads from config/.env
+ *
+ * Also the client for the n8n public REST API (/api/v1): workflows,
+ * executions, credentials, tags, variables, users and projects. List methods
+ * follow nextCursor through every page and resolve to { data } holding all
+ * items, so getWorkflows() returns every workflow, not the first page.
+ * Failed requests throw an Error carrying the HTTP status and response body.
+ *
+ * Usage:
+ *   const n8n = new N8nMCPSetup();
+ *   await n8n.validateConnection();
+ *   const { data: workflows } = await n8n.getWorkflows({ active: true });
+ *   const created = await n8n.createWorkflow(workflowJson);
+ *   await n8n.activateWorkflow(created.id);
  */
 
 const path = require('path');
 const fs = require('fs');
+const { validateWorkflow } = require('./validators/validate-workflow');
 
 // Load environment variables
 const envPath = path.join(__dirname, '../config/.env');
@@ -15,6 +29,35 @@ if (fs.existsSync(envPath)) {
   require('dotenv').config({ path: envPath });
 }
 
+// Largest page the public API serves
+const PAGE_LIMIT = 250;
+
+// Workflow fields the API accepts on create and update; the rest (id, active, tags, ...) are read-only
+const WORKFLOW_FIELDS = ['name', 'nodes', 'connections', 'settings', 'staticData'];
+
+/**
+ * Query string from an object, leaving out undefined and null values
+ */
+function toQueryString(query = {}) {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(query)) {
+    if (value !== undefined && value !== null) params.set(key, Array.isArray(value) ? value.join(',') : String(value));
+  }
+  const text = params.toString();
+  return text ? `?${text}` : '';
+}
+
+/**
+ * Workflow JSON reduced to the fields the API accepts
+ */
+function toWorkflowPayload(workflow) {
+  const payload = { settings: {} };
+  for (const field of WORKFLOW_FIELDS) {
+    if (workflow[field] !== undefined && workflow[field] !== null) payload[field] = workflow[field];
+  }
+  return payload;
+}
+
 class N8nMCPSetup {
   constructor() {
     this.apiUrl = process.env.N8N_API_URL || 'https://highlandai.app.n8n.cloud';
@@ -33,92 +76,411 @@ class N8nMCPSetup {
 
     try {
       console.log('🔌 Testing n8n connection...');
-      const response = await fetch(`${this.apiUrl}/api/v1/workflows`, {
-        method: 'GET',
-        headers: {
-          'X-N8N-API-KEY': this.apiKey,
-          'Content-Type': 'application/json'
-        }
-      });
-
-      if (response.ok) {
-        console.log('✅ n8n connection successful!');
-        this.isConnected = true;
-        return true;
-      } else {
-        console.error(`❌ Connection failed: ${response.status} ${response.statusText}`);
-        return false;
-      }
+      await this.send('GET', '/workflows', { query: { limit: 1 } });
+      console.log('✅ n8n connection successful!');
+      this.isConnected = true;
+      return true;
     } catch (error) {
-      console.error('❌ Connection error:', error.message);
+      console.error(`❌ Connection failed: ${error.message}`);
       return false;
     }
   }
 
   /**
-   * Get workflow by ID
+   * Call the public API, without checking the connection first
+   * @param {string} method - GET, POST, PUT, PATCH or DELETE
+   * @param {string} endpoint - Path below /api/v1, e.g. /workflows/abc
+   * @param {Object} [options]
+   * @param {Object} [options.query] - Query parameters (arrays are comma-separated)
+   * @param {*} [options.body] - Sent as JSON
+   * @returns {Promise<*>} Parsed JSON response (null when empty)
    */
-  async getWorkflow(workflowId) {
-    if (!this.isConnected) {
-      throw new Error('Not connected to n8n. Call validateConnection() first.');
-    }
-
-    const response = await fetch(`${this.apiUrl}/api/v1/workflows/${workflowId}`, {
-      method: 'GET',
+  async send(method, endpoint, options = {}) {
+    const response = await fetch(`${this.apiUrl}/api/v1${endpoint}${toQueryString(options.query)}`, {
+      method,
       headers: {
         'X-N8N-API-KEY': this.apiKey,
         'Content-Type': 'application/json'
-      }
+      },
+      ...(options.body !== undefined ? { body: JSON.stringify(options.body) } : {})
     });
 
+    const text = await response.text();
+    let body = null;
+    try {
+      body = text ? JSON.parse(text) : null;
+    } catch (error) {
+      body = text;
+    }
+
     if (!response.ok) {
-      throw new Error(`Failed to fetch workflow: ${response.statusText}`);
+      const detail = body?.message || response.statusText;
+      const error = new Error(`${method} ${endpoint} failed: ${response.status} ${detail}`);
+      error.status = response.status;
+      error.body = body;
+      throw error;
     }
 
-    return response.json();
+    return body;
   }
 
   /**
-   * Get all workflows
+   * Call the public API once connected (see send())
    */
-  async getWorkflows() {
+  async request(method, endpoint, options = {}) {
     if (!this.isConnected) {
       throw new Error('Not connected to n8n. Call validateConnection() first.');
     }
+    return this.send(method, endpoint, options);
+  }
 
-    const response = await fetch(`${this.apiUrl}/api/v1/workflows`, {
-      method: 'GET',
-      headers: {
-        'X-N8N-API-KEY': this.apiKey,
-        'Content-Type': 'application/json'
-      }
-    });
+  /**
+   * Every item of a paginated list endpoint, following nextCursor
+   * @param {string} endpoint
+   * @param {Object} [query] - Filters; limit sets the page size (default and maximum 250)
+   * @returns {Promise<{data: Array<Object>}>}
+   */
+  async paginate(endpoint, query = {}) {
+    const data = [];
+    const seen = new Set();
+    let cursor;
 
-    if (!response.ok) {
-      throw new Error(`Failed to fetch workflows: ${response.statusText}`);
-    }
+    do {
+      const page = await this.request('GET', endpoint, { query: { limit: PAGE_LIMIT, ...query, cursor } });
+      data.push(...(page?.data || []));
+      cursor = page?.nextCursor || null;
+
+      if (cursor && seen.has(cursor)) throw new Error(`GET ${endpoint} returned the cursor ${cursor} twice`);
+      if (cursor) seen.add(cursor);
+    } while (cursor);
 
-    return response.json();
+    return { data };
   }
 
+  // ----- Workflows -----
+
   /**
-   * Validate workflow JSON
+   * Get all workflows, across every page
+   * @param {Object} [filters] - active, tags, name, projectId, excludePinnedData
+   * @returns {Promise<{data: Array<Object>}>}
    */
-  async validateWorkflow(workflowJson) {
-    if (!this.isConnected) {
-      throw new Error('Not connected to n8n. Call validateConnection() first.');
-    }
+  async getWorkflows(filters = {}) {
+    return this.paginate('/workflows', filters);
+  }
 
-    const response = await fetch(`${this.apiUrl}/api/v1/workflows/validate`, {
-      method: 'POST',
-      headers: {
-        'X-N8N-API-KEY': this.apiKey,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(workflowJson)
-    });
+  /**
+   * Get workflow by ID
+   */
+  async getWorkflow(workflowId) {
+    return this.request('GET', `/workflows/${workflowId}`);
+  }
+
+  /**
+   * Create a workflow from workflow JSON (read-only fields such as id and active are left out)
+   * @returns {Promise<Object>} The created workflow
+   */
+  async createWorkflow(workflow) {
+    return this.request('POST', '/workflows', { body: toWorkflowPayload(workflow) });
+  }
+
+  /**
+   * Replace a workflow's name, nodes, connections and settings
+   * @returns {Promise<Object>} The updated workflow
+   */
+  async updateWorkflow(workflowId, workflow) {
+    return this.request('PUT', `/workflows/${workflowId}`, { body: toWorkflowPayload(workflow) });
+  }
+
+  /**
+   * Delete a workflow
+   */
+  async deleteWorkflow(workflowId) {
+    return this.request('DELETE', `/workflows/${workflowId}`);
+  }
+
+  /**
+   * Activate a workflow, registering its triggers
+   */
+  async activateWorkflow(workflowId) {
+    return this.request('POST', `/workflows/${workflowId}/activate`);
+  }
 
-    return response.json();
+  /**
+   * Deactivate a workflow
+   */
+  async deactivateWorkflow(workflowId) {
+    return this.request('POST', `/workflows/${workflowId}/deactivate`);
+  }
+
+  /**
+   * Move a workflow to another project
+   */
+  async transferWorkflow(workflowId, destinationProjectId) {
+    return this.request('PUT', `/workflows/${workflowId}/transfer`, { body: { destinationProjectId } });
+  }
+
+  /**
+   * Tags of a workflow
+   */
+  async getWorkflowTags(workflowId) {
+    return this.request('GET', `/workflows/${workflowId}/tags`);
+  }
+
+  /**
+   * Replace the tags of a workflow
+   * @param {Array<string>} tagIds
+   */
+  async updateWorkflowTags(workflowId, tagIds) {
+    return this.request('PUT', `/workflows/${workflowId}/tags`, { body: tagIds.map(id => ({ id })) });
+  }
+
+  // ----- Executions -----
+
+  /**
+   * Get all executions, across every page
+   * @param {Object} [filters] - status (error, success, waiting), workflowId, projectId, includeData
+   * @returns {Promise<{data: Array<Object>}>}
+   */
+  async getExecutions(filters = {}) {
+    return this.paginate('/executions', filters);
+  }
+
+  /**
+   * Get execution by ID
+   * @param {Object} [options] - includeData for node input and output
+   */
+  async getExecution(executionId, options = {}) {
+    return this.request('GET', `/executions/${executionId}`, { query: { includeData: options.includeData } });
+  }
+
+  /**
+   * Delete an execution
+   */
+  async deleteExecution(executionId) {
+    return this.request('DELETE', `/executions/${executionId}`);
+  }
+
+  /**
+   * Retry a failed execution
+   * @param {Object} [options] - loadWorkflow: run the current workflow version instead of the saved one
+   */
+  async retryExecution(executionId, options = {}) {
+    return this.request('POST', `/executions/${executionId}/retry`,
+      { body: options.loadWorkflow !== undefined ? { loadWorkflow: options.loadWorkflow } : {} });
+  }
+
+  // ----- Credentials -----
+
+  /**
+   * Get all credentials (without their secrets), across every page
+   * @returns {Promise<{data: Array<Object>}>}
+   */
+  async getCredentials() {
+    return this.paginate('/credentials');
+  }
+
+  /**
+   * Create a credential
+   * @param {Object} credential - { name, type, data } (see getCredentialSchema())
+   */
+  async createCredential(credential) {
+    return this.request('POST', '/credentials', { body: credential });
+  }
+
+  /**
+   * Delete a credential
+   */
+  async deleteCredential(credentialId) {
+    return this.request('DELETE', `/credentials/${credentialId}`);
+  }
+
+  /**
+   * JSON Schema of a credential type's data, e.g. gmailOAuth2
+   */
+  async getCredentialSchema(credentialType) {
+    return this.request('GET', `/credentials/schema/${credentialType}`);
+  }
+
+  /**
+   * Move a credential to another project
+   */
+  async transferCredential(credentialId, destinationProjectId) {
+    return this.request('PUT', `/credentials/${credentialId}/transfer`, { body: { destinationProjectId } });
+  }
+
+  // ----- Tags -----
+
+  /**
+   * Get all tags, across every page
+   * @returns {Promise<{data: Array<Object>}>}
+   */
+  async getTags() {
+    return this.paginate('/tags');
+  }
+
+  /**
+   * Get tag by ID
+   */
+  async getTag(tagId) {
+    return this.request('GET', `/tags/${tagId}`);
+  }
+
+  /**
+   * Create a tag
+   */
+  async createTag(name) {
+    return this.request('POST', '/tags', { body: { name } });
+  }
+
+  /**
+   * Rename a tag
+   */
+  async updateTag(tagId, name) {
+    return this.request('PUT', `/tags/${tagId}`, { body: { name } });
+  }
+
+  /**
+   * Delete a tag
+   */
+  async deleteTag(tagId) {
+    return this.request('DELETE', `/tags/${tagId}`);
+  }
+
+  // ----- Variables -----
+
+  /**
+   * Get all variables, across every page
+   * @returns {Promise<{data: Array<Object>}>}
+   */
+  async getVariables() {
+    return this.paginate('/variables');
+  }
+
+  /**
+   * Create a variable
+   * @param {Object} variable - { key, value }
+   */
+  async createVariable(variable) {
+    return this.request('POST', '/variables', { body: variable });
+  }
+
+  /**
+   * Replace a variable's key and value
+   * @param {Object} variable - { key, value }
+   */
+  async updateVariable(variableId, variable) {
+    return this.request('PUT', `/variables/${variableId}`, { body: variable });
+  }
+
+  /**
+   * Delete a variable
+   */
+  async deleteVariable(variableId) {
+    return this.request('DELETE', `/variables/${variableId}`);
+  }
+
+  // ----- Users -----
+
+  /**
+   * Get all users, across every page
+   * @param {Object} [filters] - includeRole, projectId
+   * @returns {Promise<{data: Array<Object>}>}
+   */
+  async getUsers(filters = {}) {
+    return this.paginate('/users', filters);
+  }
+
+  /**
+   * Get user by ID or email
+   * @param {Object} [options] - includeRole
+   */
+  async getUser(idOrEmail, options = {}) {
+    return this.request('GET', `/users/${encodeURIComponent(idOrEmail)}`, { query: { includeRole: options.includeRole } });
+  }
+
+  /**
+   * Invite users
+   * @param {Array<Object>} users - [{ email, role }], role e.g. global:member
+   */
+  async createUsers(users) {
+    return this.request('POST', '/users', { body: users });
+  }
+
+  /**
+   * Delete a user by ID or email
+   */
+  async deleteUser(idOrEmail) {
+    return this.request('DELETE', `/users/${encodeURIComponent(idOrEmail)}`);
+  }
+
+  /**
+   * Change a user's global role, e.g. global:admin
+   */
+  async changeUserRole(idOrEmail, newRoleName) {
+    return this.request('PATCH', `/users/${encodeURIComponent(idOrEmail)}/role`, { body: { newRoleName } });
+  }
+
+  // ----- Projects -----
+
+  /**
+   * Get all projects, across every page
+   * @returns {Promise<{data: Array<Object>}>}
+   */
+  async getProjects() {
+    return this.paginate('/projects');
+  }
+
+  /**
+   * Create a project
+   */
+  async createProject(name) {
+    return this.request('POST', '/projects', { body: { name } });
+  }
+
+  /**
+   * Rename a project
+   */
+  async updateProject(projectId, name) {
+    return this.request('PUT', `/projects/${projectId}`, { body: { name } });
+  }
+
+  /**
+   * Delete a project
+   */
+  async deleteProject(projectId) {
+    return this.request('DELETE', `/projects/${projectId}`);
+  }
+
+  /**
+   * Add users to a project
+   * @param {Array<Object>} relations - [{ userId, role }], role e.g. project:editor
+   */
+  async addProjectUsers(projectId, relations) {
+    return this.request('POST', `/projects/${projectId}/users`, { body: { relations } });
+  }
+
+  /**
+   * Change a user's role in a project
+   */
+  async changeProjectUserRole(projectId, userId, role) {
+    return this.request('PATCH', `/projects/${projectId}/users/${userId}`, { body: { role } });
+  }
+
+  /**
+   * Remove a user from a project
+   */
+  async removeProjectUser(projectId, userId) {
+    return this.request('DELETE', `/projects/${projectId}/users/${userId}`);
+  }
+
+  /**
+   * Validate workflow JSON locally against the knowledge base
+   * (the n8n public API has no validation endpoint, so no connection is needed)
+   * @param {Object|string} workflowJson
+   * @param {Object} [options] - See validators/validate-workflow.js
+   */
+  async validateWorkflow(workflowJson, options = {}) {
+    return validateWorkflow(workflowJson, options);
   }
 
   /**
@@ -0,0 +1,136 @@
+/**
+ * Auto Fixer for n8n Workflows
+ * Applies the autoCorrections catalogue from validation-rules.json
+ *
+ * Each correction id maps to a fix module in ./fixes/<correction-id>.js:
+ *   module.exports = {
+ *     id: 'add-positions',
+ *     apply(workflow, context) {
+ *       return [{ node: 'Name', op: 'add', path: ['nodes', 0, 'position'], value: [0, 0], description: '...' }];
+ *     }
+ *   };
+ *
+ * Fix modules never mutate the workflow; they return JSON Patch style
+ * operations which the fixer applies to a copy. The same operations are
+ * reported per node, with the value before and after, and can be exported
+ * as an RFC 6902 JSON Patch.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { toJsonPointer } = require('./helpers');
+
+class AutoFixer {
+  constructor(options = {}) {
+    this.fixesDir = options.fixesDir || path.join(__dirname, 'fixes');
+    this.fixes = null;
+  }
+
+  /**
+   * Discover fix modules in the fixes directory
+   * @returns {Map<string, Object>} Fix modules keyed by correction id
+   */
+  loadFixes() {
+    if (this.fixes) return this.fixes;
+
+    this.fixes = new Map();
+    const files = fs.readdirSync(this.fixesDir).filter(f => f.endsWith('.js'));
+
+    for (const file of files) {
+      const fixModule = require(path.join(this.fixesDir, file));
+      const id = fixModule.id || path.basename(file, '.js');
+
+      if (typeof fixModule.apply !== 'function') {
+        throw new Error(`Fix module ${file} does not export an apply() function`);
+      }
+      this.fixes.set(id, fixModule);
+    }
+
+    return this.fixes;
+  }
+
+  /**
+   * Apply every catalogued correction to a workflow
+   * @param {Object} workflow - Parsed workflow JSON (left untouched)
+   * @param {Object} kb - Knowledge base from KnowledgeBaseLoader.load()
+   * @returns {{workflow: Object, changes: Array<Object>, skipped: Array<string>}}
+   */
+  run(workflow, kb) {
+    const fixes = this.loadFixes();
+    const patched = structuredClone(workflow);
+    const changes = [];
+    const skipped = [];
+
+    if (!Array.isArray(patched.nodes)) {
+      return { workflow: patched, changes, skipped: kb.autoCorrections.map(c => c.id) };
+    }
+
+    for (const correction of kb.autoCorrections) {
+      const fixModule = fixes.get(correction.id);
+      if (!fixModule) {
+        skipped.push(correction.id);
+        continue;
+      }
+
+      // Apply each correction before computing the next, so later fixes see earlier ones
+      const operations = fixModule.apply(patched, { correction, kb });
+      for (const operation of operations) {
+        const before = operation.path.reduce((value, key) => value?.[key], patched);
+        this.applyOperation(patched, operation);
+        changes.push({ correctionId: correction.id, ...operation, before });
+      }
+    }
+
+    return { workflow: patched, changes, skipped };
+  }
+
+  /**
+   * Apply a single add/replace/remove operation in place
+   * @param {Object} target
+   * @param {Object} operation - { op, path: Array, value }
+   */
+  applyOperation(target, operation) {
+    const keys = [...operation.path];
+    const last = keys.pop();
+    const parent = keys.reduce((value, key) => value[key], target);
+
+    if (operation.op === 'remove') {
+      delete parent[last];
+    } else {
+      parent[last] = operation.value;
+    }
+  }
+
+  /**
+   * Convert changes to an RFC 6902 JSON Patch document
+   */
+  toJsonPatch(changes) {
+    return changes.map(({ op, path: pathArray, value }) => (
+      op === 'remove'
+        ? { op, path: toJsonPointer(pathArray) }
+        : { op, path: toJsonPointer(pathArray), value }
+    ));
+  }
+
+  /**
+   * Group changes by node name for reporting
+   * @returns {Object} Node name -> [{ correctionId, path, description, before, after }];
+   *   before/after are left out where the field was unset
+   */
+  groupByNode(changes) {
+    const byNode = {};
+    for (const change of changes) {
+      const key = change.node || '(workflow)';
+      (byNode[key] = byNode[key] || []).push({
+        correctionId: change.correctionId,
+        path: toJsonPointer(change.path),
+        description: change.description,
+        before: change.before,
+        after: change.op === 'remove' ? undefined : change.value
+      });
+    }
+    return byNode;
+  }
+}
+
+module.exports = AutoFixer;
@@ -0,0 +1,51 @@
+/**
+ * Rule: anti-patterns
+ * Node parameters must not match a pattern's example.incorrect in patterns.json.
+ * Patterns already enforced by a dedicated rule (via pattern_id) are skipped.
+ */
+
+const { compilePatterns, findMatches } = require('../pattern-matcher');
+
+// Pattern priority -> finding severity
+const PRIORITY_SEVERITY = {
+  critical: 'error',
+  major: 'warning',
+  minor: 'info'
+};
+
+/**
+ * Pattern ids linked to a rule through pattern_id
+ */
+function getLinkedPatternIds(validationCategories) {
+  return new Set(Object.values(validationCategories || {})
+    .flatMap(category => category.rules || [])
+    .map(rule => rule.pattern_id)
+    .filter(Boolean));
+}
+
+module.exports = {
+  id: 'anti-patterns',
+
+  check(workflow, context) {
+    const issues = [];
+    const linked = getLinkedPatternIds(context.kb.validationRules);
+
+    for (const matcher of compilePatterns(context.kb.patterns || [])) {
+      const { pattern } = matcher;
+      if (linked.has(pattern.id)) continue;
+
+      for (const match of findMatches(matcher, workflow, context.graph)) {
+        issues.push({
+          node: match.node,
+          path: match.path,
+          severity: PRIORITY_SEVERITY[pattern.priority] || 'warning',
+          message: `"${match.node}" matches anti-pattern "${pattern.id}": ${pattern.why || pattern.rule}`,
+          fix: `${pattern.rule}, e.g. ${JSON.stringify(pattern.example.correct)}`,
+          pattern
+        });
+      }
+    }
+
+    return issues;
+  }
+};
@@ -0,0 +1,26 @@
+/**
+ * Rule: batch-processing
+ * Nodes that can return large result sets should feed a SplitInBatches node
+ */
+
+const SPLIT_IN_BATCHES = 'n8n-nodes-base.splitInBatches';
+
+module.exports = {
+  id: 'batch-processing',
+
+  check(workflow, context) {
+    return workflow.nodes
+      .filter(node => {
+        const parameters = node.parameters || {};
+        return parameters.returnAll === true ||
+          Number(parameters.limit) > 100 ||
+          parameters.options?.pagination !== undefined;
+      })
+      .filter(node => ![...context.graph.getDescendants([node.name])]
+        .some(name => context.graph.nodes.get(name).type === SPLIT_IN_BATCHES))
+      .map(node => ({
+        node: node.name,
+        message: `Node "${node.name}" may return more than 100 items with no SplitInBatches downstream`
+      }));
+  }
+};
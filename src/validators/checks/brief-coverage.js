@@ -0,0 +1,23 @@
+/**
+ * Rule: brief-coverage
+ * Every requirement extracted from the brief should map to workflow nodes
+ * Skipped unless a brief is passed in options
+ */
+
+const { getTraceabilityMatrix, describeRequirement } = require('../requirements');
+
+module.exports = {
+  id: 'brief-coverage',
+
+  check(workflow, context) {
+    const matrix = getTraceabilityMatrix(workflow, context);
+    if (!matrix) return null;
+
+    return matrix
+      .filter(entry => entry.status === 'partial' || entry.status === 'uncovered')
+      .map(entry => ({
+        message: `${describeRequirement(entry)} is ${entry.status}; missing ` +
+          entry.needs.filter(need => !need.covered).map(need => need.description).join(', ')
+      }));
+  }
+};
@@ -0,0 +1,33 @@
+/**
+ * Rule: code-node-input-mode
+ * Input access must match the node's mode: $input.all()/items when running
+ * once for all items, $input.item/$json when running once for each item
+ */
+
+const { getNodeSource, getNodeSourcePath } = require('../helpers');
+const { getCodeSettings, analyzeCode } = require('../code-analysis');
+
+module.exports = {
+  id: 'code-node-input-mode',
+
+  check(workflow, context) {
+    const issues = [];
+
+    for (const node of context.nodes) {
+      const settings = getCodeSettings(node);
+      const source = getNodeSource(node);
+      if (settings.language !== 'javaScript' || !source) continue;
+
+      for (const issue of analyzeCode(source, settings).inputAccess) {
+        issues.push({
+          node: node.name,
+          path: getNodeSourcePath(node),
+          severity: issue.severity,
+          message: `Code node "${node.name}" line ${issue.line}: ${issue.message}`
+        });
+      }
+    }
+
+    return issues;
+  }
+};
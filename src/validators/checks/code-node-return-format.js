@@ -0,0 +1,33 @@
+/**
+ * Rule: code-node-return-format
+ * Code nodes must return an array of {json: ...} items
+ * (a single {json: ...} object in "Run Once for Each Item" mode)
+ */
+
+const { getNodeSource, getNodeSourcePath } = require('../helpers');
+const { getCodeSettings, analyzeCode } = require('../code-analysis');
+
+module.exports = {
+  id: 'code-node-return-format',
+
+  check(workflow, context) {
+    const issues = [];
+
+    for (const node of context.nodes) {
+      const settings = getCodeSettings(node);
+      const source = getNodeSource(node);
+      if (settings.language !== 'javaScript' || !source) continue;
+
+      for (const issue of analyzeCode(source, settings).returns) {
+        issues.push({
+          node: node.name,
+          path: getNodeSourcePath(node),
+          severity: issue.severity,
+          message: `Code node "${node.name}"${issue.line ? ` line ${issue.line}` : ''}: ${issue.message}`
+        });
+      }
+    }
+
+    return issues;
+  }
+};
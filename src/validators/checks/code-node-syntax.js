@@ -0,0 +1,32 @@
+/**
+ * Rule: code-node-syntax
+ * Code node JavaScript must parse
+ */
+
+const { getNodeSource, getNodeSourcePath } = require('../helpers');
+const { getCodeSettings, analyzeCode } = require('../code-analysis');
+
+module.exports = {
+  id: 'code-node-syntax',
+
+  check(workflow, context) {
+    const issues = [];
+
+    for (const node of context.nodes) {
+      const settings = getCodeSettings(node);
+      const source = getNodeSource(node);
+      if (settings.language !== 'javaScript' || !source) continue;
+
+      const { syntaxError } = analyzeCode(source, settings);
+      if (syntaxError) {
+        issues.push({
+          node: node.name,
+          path: getNodeSourcePath(node),
+          message: `Code node "${node.name}" line ${syntaxError.line}:${syntaxError.column}: ${syntaxError.message}`
+        });
+      }
+    }
+
+    return issues;
+  }
+};
@@ -0,0 +1,31 @@
+/**
+ * Rule: code-node-unreachable
+ * Code nodes should not contain statements or catch blocks that can never run
+ */
+
+const { getNodeSource, getNodeSourcePath } = require('../helpers');
+const { getCodeSettings, analyzeCode } = require('../code-analysis');
+
+module.exports = {
+  id: 'code-node-unreachable',
+
+  check(workflow, context) {
+    const issues = [];
+
+    for (const node of context.nodes) {
+      const settings = getCodeSettings(node);
+      const source = getNodeSource(node);
+      if (settings.language !== 'javaScript' || !source) continue;
+
+      for (const issue of analyzeCode(source, settings).unreachable) {
+        issues.push({
+          node: node.name,
+          path: getNodeSourcePath(node),
+          message: `Code node "${node.name}" line ${issue.line}: ${issue.message}`
+        });
+      }
+    }
+
+    return issues;
+  }
+};
@@ -0,0 +1,41 @@
+/**
+ * Rule: connections-valid
+ * Connection sources and targets must be names of existing nodes
+ */
+
+const { toJsonPointer } = require('../helpers');
+
+module.exports = {
+  id: 'connections-valid',
+
+  check(workflow) {
+    const issues = [];
+    const names = new Set(workflow.nodes.map(n => n.name));
+
+    for (const [sourceName, outputsByType] of Object.entries(workflow.connections)) {
+      if (!names.has(sourceName)) {
+        issues.push({
+          node: sourceName,
+          pointer: toJsonPointer(['connections', sourceName]),
+          message: `Connection from non-existent node: ${sourceName}`
+        });
+      }
+
+      for (const outputs of Object.values(outputsByType || {})) {
+        (outputs || []).forEach(targets => {
+          (targets || []).forEach(conn => {
+            if (!names.has(conn.node)) {
+              issues.push({
+                node: sourceName,
+                pointer: toJsonPointer(['connections', sourceName]),
+                message: `Connection to non-existent node: ${conn.node}`
+              });
+            }
+          });
+        });
+      }
+    }
+
+    return issues;
+  }
+};
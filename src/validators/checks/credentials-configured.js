@@ -0,0 +1,29 @@
+/**
+ * Rule: credentials-configured
+ * Nodes that authenticate must reference a credential
+ * HTTP Request nodes only need one when authentication is not "none"
+ */
+
+module.exports = {
+  id: 'credentials-configured',
+
+  check(workflow, context) {
+    const issues = [];
+
+    for (const node of context.nodes) {
+      const parameters = node.parameters || {};
+      const hasCredentials = node.credentials && Object.keys(node.credentials).length > 0;
+
+      if (node.type === 'n8n-nodes-base.httpRequest' &&
+          (!parameters.authentication || parameters.authentication === 'none')) {
+        continue;
+      }
+
+      if (!hasCredentials) {
+        issues.push({ node: node.name, path: ['credentials'], message: `Node "${node.name}" has no credentials configured` });
+      }
+    }
+
+    return issues;
+  }
+};
@@ -0,0 +1,36 @@
+/**
+ * Rule: credentials-not-exposed
+ * Auth headers, query params and URL userinfo must not hold literal secrets
+ */
+
+const { isExpression } = require('../helpers');
+
+const SENSITIVE_NAME = /authorization|api[-_]?key|token|secret|password/i;
+
+module.exports = {
+  id: 'credentials-not-exposed',
+
+  check(workflow) {
+    const issues = [];
+
+    for (const node of workflow.nodes) {
+      const parameters = node.parameters || {};
+      const pairs = [
+        ...(parameters.headerParameters?.parameters || []),
+        ...(parameters.queryParameters?.parameters || [])
+      ];
+
+      for (const { name, value } of pairs) {
+        if (SENSITIVE_NAME.test(name || '') && value && !isExpression(value)) {
+          issues.push({ node: node.name, message: `Node "${node.name}" exposes "${name}" as a literal value` });
+        }
+      }
+
+      if (typeof parameters.url === 'string' && /^https?:\/\/[^/\s:@]+:[^/\s@]+@/.test(parameters.url)) {
+        issues.push({ node: node.name, message: `Node "${node.name}" embeds credentials in its URL` });
+      }
+    }
+
+    return issues;
+  }
+};
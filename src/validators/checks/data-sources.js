@@ -0,0 +1,20 @@
+/**
+ * Rule: data-sources
+ * Triggers and data sources named in the brief should have a node that provides them
+ * Skipped unless a brief is passed in options
+ */
+
+const { getTraceabilityMatrix, describeRequirement } = require('../requirements');
+
+module.exports = {
+  id: 'data-sources',
+
+  check(workflow, context) {
+    const matrix = getTraceabilityMatrix(workflow, context);
+    if (!matrix) return null;
+
+    return matrix.flatMap(entry => entry.needs
+      .filter(need => !need.covered && (need.type !== 'action' || need.verb === 'fetch'))
+      .map(need => ({ message: `${describeRequirement(entry)} has no node for its ${need.description}` })));
+  }
+};
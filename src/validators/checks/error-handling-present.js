@@ -0,0 +1,19 @@
+/**
+ * Rule: error-handling-present
+ * External API nodes should continue on failure so the error path can run
+ */
+
+const ERROR_OUTPUT_MODES = ['continueRegularOutput', 'continueErrorOutput'];
+
+module.exports = {
+  id: 'error-handling-present',
+
+  check(workflow, context) {
+    return context.nodes
+      .filter(node => node.continueOnFail !== true && !ERROR_OUTPUT_MODES.includes(node.onError))
+      .map(node => ({
+        node: node.name,
+        message: `Node "${node.name}" stops the workflow on failure (no continueOnFail)`
+      }));
+  }
+};
@@ -0,0 +1,35 @@
+/**
+ * Rule: error-notification
+ * Some node on an error path should notify a person (email, Slack, ...)
+ *
+ * Error paths start at Error Trigger nodes, nodes named like error handlers,
+ * and the error output (main[1]) of nodes using onError: continueErrorOutput.
+ */
+
+const NOTIFY_PATTERN = /gmail|emailSend|slack|telegram|microsoftTeams|discord|mattermost|twilio|sendGrid|mailgun/i;
+
+module.exports = {
+  id: 'error-notification',
+
+  check(workflow, context) {
+    const starts = [];
+
+    for (const node of workflow.nodes) {
+      if (node.type === 'n8n-nodes-base.errorTrigger' || /error|fail/i.test(node.name || '')) {
+        starts.push(node.name);
+      }
+      if (node.onError === 'continueErrorOutput') {
+        starts.push(...context.graph.getChildren(node.name, { outputIndex: 1 }));
+      }
+    }
+
+    const errorPath = context.graph.getDescendants(starts);
+    const notifies = workflow.nodes.some(node =>
+      errorPath.has(node.name) &&
+      NOTIFY_PATTERN.test(node.type || '') &&
+      !/trigger/i.test(node.type)
+    );
+
+    return notifies ? [] : [{ message: 'No error path sends a notification' }];
+  }
+};
@@ -0,0 +1,90 @@
+/**
+ * Rule: expression-references-valid
+ * $('Node'), $node['Node'] and $items('Node') in expressions and Code nodes
+ * must name an existing node that runs upstream of the referencing node
+ */
+
+const {
+  walkStrings,
+  formatPath,
+  isExpression,
+  getNodeSource,
+  getNodeSourcePath,
+  isTriggerNode
+} = require('../helpers');
+const { extractCodeReferences, extractExpressionReferences } = require('../expression-references');
+
+const CODE_FIELDS = ['jsCode', 'functionCode'];
+
+/**
+ * All references made by one node, tagged with where they were found
+ */
+function collectNodeReferences(node) {
+  const references = [];
+  const source = getNodeSource(node);
+
+  if (source) {
+    for (const ref of extractCodeReferences(source)) {
+      references.push({ ...ref, location: `code line ${ref.line}`, path: getNodeSourcePath(node) });
+    }
+  }
+
+  walkStrings(node.parameters || {}, (value, pathArray) => {
+    if (CODE_FIELDS.includes(pathArray[0]) || !isExpression(value)) return;
+    for (const ref of extractExpressionReferences(value)) {
+      references.push({ ...ref, location: formatPath(pathArray), path: ['parameters', ...pathArray] });
+    }
+  });
+
+  return references;
+}
+
+module.exports = {
+  id: 'expression-references-valid',
+
+  check(workflow, context) {
+    const issues = [];
+    const names = new Set(workflow.nodes.map(n => n.name));
+
+    for (const node of workflow.nodes) {
+      if (isTriggerNode(node)) {
+        walkStrings(node.parameters || {}, (value, pathArray) => {
+          if (isExpression(value) && /\$(json|input)\b/.test(value)) {
+            issues.push({
+              node: node.name,
+              path: ['parameters', ...pathArray],
+              severity: 'warning',
+              message: `Trigger "${node.name}" uses $json/$input but has no input items (${formatPath(pathArray)})`
+            });
+          }
+        });
+      }
+
+      const references = collectNodeReferences(node);
+      if (references.length === 0) continue;
+
+      const ancestors = context.graph.getAncestors(node.name);
+
+      for (const ref of references) {
+        if (!names.has(ref.nodeName)) {
+          const suggestion = [...names].find(n => n.toLowerCase() === ref.nodeName.trim().toLowerCase());
+          issues.push({
+            node: node.name,
+            path: ref.path,
+            message: `"${node.name}" references missing node "${ref.nodeName}" (${ref.location})` +
+              (suggestion ? `; did you mean "${suggestion}"?` : '')
+          });
+        } else if (ref.nodeName !== node.name && !ancestors.has(ref.nodeName)) {
+          issues.push({
+            node: node.name,
+            path: ref.path,
+            severity: 'warning',
+            message: `"${node.name}" references "${ref.nodeName}", which is not upstream of it (${ref.location})`
+          });
+        }
+      }
+    }
+
+    return issues;
+  }
+};
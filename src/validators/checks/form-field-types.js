@@ -0,0 +1,30 @@
+/**
+ * Rule: form-field-types
+ * Form Trigger field types must be in the rule's allowedTypes list
+ */
+
+module.exports = {
+  id: 'form-field-types',
+
+  check(workflow, context) {
+    const issues = [];
+    const allowedTypes = context.rule.allowedTypes || [];
+
+    for (const node of context.nodes) {
+      const fields = node.parameters?.formFields?.values || [];
+
+      fields.forEach((field, i) => {
+        const fieldType = field.fieldType || 'text';
+        if (!allowedTypes.includes(fieldType)) {
+          issues.push({
+            node: node.name,
+            path: ['parameters', 'formFields', 'values', i, 'fieldType'],
+            message: `Field "${field.fieldLabel}" in "${node.name}" has invalid type "${fieldType}"`
+          });
+        }
+      });
+    }
+
+    return issues;
+  }
+};
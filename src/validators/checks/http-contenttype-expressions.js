@@ -0,0 +1,30 @@
+/**
+ * Rule: http-contenttype-expressions
+ * HTTP Request bodies built from expressions must use contentType "raw"
+ */
+
+const { isExpression } = require('../helpers');
+
+module.exports = {
+  id: 'http-contenttype-expressions',
+
+  check(workflow, context) {
+    const issues = [];
+
+    for (const node of context.nodes) {
+      const parameters = node.parameters || {};
+      const contentType = parameters.contentType || 'json';
+      const bodyField = ['jsonBody', 'body'].find(field => isExpression(parameters[field]));
+
+      if (contentType === 'json' && bodyField) {
+        issues.push({
+          node: node.name,
+          path: ['parameters', bodyField],
+          message: `Node "${node.name}" sends expression in ${bodyField} with contentType "json"`
+        });
+      }
+    }
+
+    return issues;
+  }
+};
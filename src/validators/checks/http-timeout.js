@@ -0,0 +1,16 @@
+/**
+ * Rule: http-timeout
+ * HTTP Request nodes should set an explicit timeout
+ */
+
+const { getParameter } = require('../helpers');
+
+module.exports = {
+  id: 'http-timeout',
+
+  check(workflow, context) {
+    return context.nodes
+      .filter(node => getParameter(node.parameters || {}, 'options.timeout') === undefined)
+      .map(node => ({ node: node.name, path: ['parameters', 'options', 'timeout'], message: `Node "${node.name}" has no timeout set` }));
+  }
+};
@@ -0,0 +1,16 @@
+/**
+ * Rule: loop-termination
+ * SplitInBatches loops should cap their iterations
+ */
+
+const { getParameter } = require('../helpers');
+
+module.exports = {
+  id: 'loop-termination',
+
+  check(workflow, context) {
+    return context.nodes
+      .filter(node => getParameter(node.parameters || {}, 'options.maxIterations') === undefined)
+      .map(node => ({ node: node.name, message: `Loop "${node.name}" has no maxIterations limit` }));
+  }
+};
@@ -0,0 +1,22 @@
+/**
+ * Rule: no-hardcoded-keys
+ * API keys and other secrets must not appear literally in node parameters
+ * Provider-specific matches are errors; generic high-entropy strings are warnings
+ */
+
+const { SecretScanner } = require('../secret-scanner');
+
+module.exports = {
+  id: 'no-hardcoded-keys',
+
+  check(workflow, context) {
+    const scanner = new SecretScanner({ allowlist: context.options.secretAllowlist });
+
+    return scanner.scanWorkflow(workflow).map(finding => ({
+      node: finding.node,
+      path: ['parameters', ...finding.parameterPath],
+      severity: finding.confidence === 'high' ? 'error' : 'warning',
+      message: `${finding.provider} (${finding.masked}) hardcoded in "${finding.node}" at ${finding.path} [${finding.fingerprint}]`
+    }));
+  }
+};
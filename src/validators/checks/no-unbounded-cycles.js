@@ -0,0 +1,18 @@
+/**
+ * Rule: no-unbounded-cycles
+ * Every loop in the connection graph needs a branch (IF/Switch/Filter/
+ * SplitInBatches) with an output that leaves the loop
+ */
+
+module.exports = {
+  id: 'no-unbounded-cycles',
+
+  check(workflow, context) {
+    return context.graph.getCycles()
+      .filter(cycle => !context.graph.isCycleBounded(cycle))
+      .map(cycle => ({
+        node: cycle[0],
+        message: `Unbounded cycle with no exit branch: ${cycle.join(' → ')} → ${cycle[0]}`
+      }));
+  }
+};
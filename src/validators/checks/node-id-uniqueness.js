@@ -0,0 +1,26 @@
+/**
+ * Rule: node-id-uniqueness
+ * Every node needs an id, and no two nodes may share one
+ */
+
+module.exports = {
+  id: 'node-id-uniqueness',
+
+  check(workflow) {
+    const issues = [];
+    const seen = new Set();
+
+    workflow.nodes.forEach((node, i) => {
+      if (!node.id) {
+        issues.push({ node: node.name || null, path: ['id'], message: `Node ${node.name || i} missing ID` });
+        return;
+      }
+      if (seen.has(node.id)) {
+        issues.push({ node: node.name || null, path: ['id'], message: `Duplicate node ID: ${node.id}` });
+      }
+      seen.add(node.id);
+    });
+
+    return issues;
+  }
+};
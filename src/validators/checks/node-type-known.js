@@ -0,0 +1,35 @@
+/**
+ * Rule: node-type-known
+ * Node types should be documented in node-catalog.json so their versions
+ * and required fields can be checked
+ */
+
+const { getIndex } = require('../../kb-index');
+
+const ANNOTATION_TYPES = ['n8n-nodes-base.stickyNote'];
+
+module.exports = {
+  id: 'node-type-known',
+
+  check(workflow, context) {
+    const known = getIndex(context.kb).nodes;
+    const reported = new Set();
+    const issues = [];
+
+    for (const node of workflow.nodes) {
+      if (!node.type || known.has(node.type) || ANNOTATION_TYPES.includes(node.type)) continue;
+
+      if (reported.has(node.type)) continue;
+      reported.add(node.type);
+
+      const sameType = workflow.nodes.filter(n => n.type === node.type).map(n => `"${n.name}"`);
+
+      issues.push({
+        node: node.name,
+        message: `Node type ${node.type} is not in the node catalog (used by ${sameType.join(', ')})`
+      });
+    }
+
+    return issues;
+  }
+};
@@ -0,0 +1,28 @@
+/**
+ * Rule: nodes-reachable
+ * Every node must be reachable from some entry point (trigger, webhook,
+ * Error Trigger), following main and sub-node (ai_*) connections
+ */
+
+const { isTriggerNode } = require('../helpers');
+
+const ANNOTATION_TYPES = ['n8n-nodes-base.stickyNote'];
+
+module.exports = {
+  id: 'nodes-reachable',
+
+  check(workflow, context) {
+    const nodes = workflow.nodes.filter(n => !ANNOTATION_TYPES.includes(n.type));
+    if (nodes.length > 0 && context.graph.getEntryPoints().length === 0) {
+      return [{ message: 'Workflow has no trigger node; nothing can start an execution' }];
+    }
+
+    const reachable = context.graph.getReachable();
+    return nodes
+      .filter(node => !isTriggerNode(node) && !reachable.has(node.name))
+      .map(node => ({
+        node: node.name,
+        message: `Node "${node.name}" is unreachable (orphaned/disconnected)`
+      }));
+  }
+};
@@ -0,0 +1,20 @@
+/**
+ * Rule: outputs-configured
+ * Output actions named in the brief (send, store, update) should have a node downstream of their trigger
+ * Skipped unless a brief is passed in options
+ */
+
+const { getTraceabilityMatrix, describeRequirement } = require('../requirements');
+
+module.exports = {
+  id: 'outputs-configured',
+
+  check(workflow, context) {
+    const matrix = getTraceabilityMatrix(workflow, context);
+    if (!matrix) return null;
+
+    return matrix.flatMap(entry => entry.needs
+      .filter(need => !need.covered && need.type === 'action' && need.verb !== 'fetch')
+      .map(need => ({ message: `${describeRequirement(entry)} needs a node to ${need.description}` })));
+  }
+};
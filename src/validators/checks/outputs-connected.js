@@ -0,0 +1,24 @@
+/**
+ * Rule: outputs-connected
+ * Outputs of IF/Switch/SplitInBatches nodes and error outputs
+ * (onError: continueErrorOutput) should lead somewhere
+ */
+
+module.exports = {
+  id: 'outputs-connected',
+
+  check(workflow, context) {
+    return context.graph.getDanglingOutputs().map(({ node: name, outputIndex }) => {
+      const node = context.graph.nodes.get(name);
+      const isErrorOutput = node.onError === 'continueErrorOutput' && outputIndex === 1;
+
+      return {
+        node: name,
+        severity: isErrorOutput ? 'warning' : 'info',
+        message: isErrorOutput
+          ? `Error output of "${name}" is not connected; failures are silently dropped`
+          : `Output ${outputIndex} of "${name}" is not connected`
+      };
+    });
+  }
+};
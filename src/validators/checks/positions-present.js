@@ -0,0 +1,20 @@
+/**
+ * Rule: positions-present
+ * Every node needs a numeric [x, y] position for the editor canvas
+ */
+
+module.exports = {
+  id: 'positions-present',
+
+  check(workflow) {
+    return workflow.nodes
+      .filter(node => !Array.isArray(node.position) ||
+        node.position.length !== 2 ||
+        !node.position.every(n => typeof n === 'number'))
+      .map(node => ({
+        node: node.name || null,
+        path: ['position'],
+        message: `Node ${node.name || node.id} missing/invalid position`
+      }));
+  }
+};
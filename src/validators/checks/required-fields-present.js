@@ -0,0 +1,42 @@
+/**
+ * Rule: required-fields-present
+ * Parameters listed as requiredFields in node-catalog.json must be set
+ * Fields may be dotted paths into nested parameters, e.g. "options.maxBodySize"
+ */
+
+const { getParameter } = require('../helpers');
+const { getIndex } = require('../../kb-index');
+
+/**
+ * Whether a parameter value counts as unset
+ */
+function isMissing(value) {
+  return value === undefined || value === null || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+}
+
+module.exports = {
+  id: 'required-fields-present',
+
+  check(workflow, context) {
+    const issues = [];
+
+    for (const node of workflow.nodes) {
+      const entry = getIndex(context.kb).nodes.get(node.type);
+      if (!entry) continue;
+
+      const parameters = node.parameters || {};
+      for (const field of entry.requiredFields || []) {
+        if (isMissing(getParameter(parameters, field))) {
+          issues.push({
+            node: node.name,
+            path: ['parameters', ...field.split('.')],
+            message: `Node "${node.name}" missing required field "${field}"`
+          });
+        }
+      }
+    }
+
+    return issues;
+  }
+};
@@ -0,0 +1,17 @@
+/**
+ * Rule: retry-logic
+ * HTTP Request nodes should retry transient failures
+ */
+
+module.exports = {
+  id: 'retry-logic',
+
+  check(workflow, context) {
+    return context.nodes
+      .filter(node => node.retryOnFail !== true)
+      .map(node => ({
+        node: node.name,
+        message: `Node "${node.name}" has no retry configuration (retryOnFail)`
+      }));
+  }
+};
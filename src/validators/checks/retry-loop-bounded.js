@@ -0,0 +1,45 @@
+/**
+ * Rule: retry-loop-bounded
+ * Loops other than SplitInBatches (retry/poll loops) must count attempts:
+ * a branch or Code node in the loop has to look at $runIndex or a counter,
+ * otherwise a persistent failure loops forever
+ * Loops with no exit branch at all are reported by no-unbounded-cycles
+ */
+
+const { walkStrings } = require('../helpers');
+
+const SPLIT_IN_BATCHES = 'n8n-nodes-base.splitInBatches';
+const COUNTING_TYPES = ['n8n-nodes-base.if', 'n8n-nodes-base.switch', 'n8n-nodes-base.filter', 'n8n-nodes-base.code', 'n8n-nodes-base.function'];
+const COUNTER = /\$runIndex|\battempts?\b|\bretr(y|ies)(Count)?\b|\bcount(er)?\b|\biterations?\b|\btries\b/i;
+
+/**
+ * Whether any branching or Code node in the loop references a counter
+ */
+function countsAttempts(cycle, graph) {
+  return cycle.some(name => {
+    const node = graph.nodes.get(name);
+    if (!COUNTING_TYPES.includes(node.type)) return false;
+
+    let found = false;
+    walkStrings(node.parameters || {}, value => {
+      if (COUNTER.test(value)) found = true;
+    });
+    return found;
+  });
+}
+
+module.exports = {
+  id: 'retry-loop-bounded',
+
+  check(workflow, context) {
+    const { graph } = context;
+
+    return graph.getCycles()
+      .filter(cycle => !cycle.some(name => graph.nodes.get(name).type === SPLIT_IN_BATCHES))
+      .filter(cycle => graph.isCycleBounded(cycle) && !countsAttempts(cycle, graph))
+      .map(cycle => ({
+        node: cycle[0],
+        message: `Loop ${cycle.join(' → ')} → ${cycle[0]} has no attempt counter; it exits only when the response changes`
+      }));
+  }
+};
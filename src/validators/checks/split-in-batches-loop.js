@@ -0,0 +1,20 @@
+/**
+ * Rule: split-in-batches-loop
+ * A SplitInBatches node must sit on a loop: the last node of its batch
+ * branch connects back to it, otherwise only the first batch is processed
+ */
+
+module.exports = {
+  id: 'split-in-batches-loop',
+
+  check(workflow, context) {
+    const onCycle = new Set(context.graph.getCycles().flat());
+
+    return context.nodes
+      .filter(node => !onCycle.has(node.name))
+      .map(node => ({
+        node: node.name,
+        message: `SplitInBatches "${node.name}" has no loop-back connection; only the first batch is processed`
+      }));
+  }
+};
@@ -0,0 +1,40 @@
+/**
+ * Rule: type-version-valid
+ * typeVersion must be set and be one of the versions listed in node-catalog.json
+ * Versions compare numerically, so "2" in the catalog matches typeVersion 2.0
+ */
+
+const { getIndex } = require('../../kb-index');
+
+module.exports = {
+  id: 'type-version-valid',
+
+  check(workflow, context) {
+    const issues = [];
+
+    for (const node of workflow.nodes) {
+      const entry = getIndex(context.kb).nodes.get(node.type);
+      if (!entry || !Array.isArray(entry.versions)) continue;
+
+      if (node.typeVersion === undefined || node.typeVersion === null) {
+        issues.push({
+          node: node.name,
+          path: ['typeVersion'],
+          message: `Node "${node.name}" has no typeVersion; catalog default is ${entry.defaultVersion}`
+        });
+        continue;
+      }
+
+      if (!entry.versions.map(Number).includes(Number(node.typeVersion))) {
+        issues.push({
+          node: node.name,
+          path: ['typeVersion'],
+          message: `Node "${node.name}" uses typeVersion ${node.typeVersion}; catalog allows ${entry.versions.join(', ')}` +
+            (entry.defaultVersion ? ` (default ${entry.defaultVersion})` : '')
+        });
+      }
+    }
+
+    return issues;
+  }
+};
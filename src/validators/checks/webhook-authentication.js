@@ -0,0 +1,59 @@
+/**
+ * Rule: webhook-authentication
+ * Webhook and form endpoints must authenticate callers: the node's
+ * authentication setting, credentials, an IP allowlist, or a first node
+ * that verifies a signature or token and throws on failure
+ */
+
+const { getNodeSource, walkStrings } = require('../helpers');
+
+const VERIFYING_CODE = /createHmac|signature|authorization|x-api-key|bearer|\$env\.\w*(TOKEN|SECRET|KEY)/i;
+const CHECKING_TYPES = ['n8n-nodes-base.if', 'n8n-nodes-base.switch', 'n8n-nodes-base.filter'];
+
+/**
+ * Whether a node right after the endpoint checks a signature, token or auth header
+ */
+function isVerifyingNode(node) {
+  const source = getNodeSource(node);
+  if (source) return VERIFYING_CODE.test(source) && /\bthrow\b/.test(source);
+
+  if (!CHECKING_TYPES.includes(node.type)) return false;
+  let checksHeaders = false;
+  walkStrings(node.parameters || {}, value => {
+    if (/\bheaders\b/.test(value) || VERIFYING_CODE.test(value)) checksHeaders = true;
+  });
+  return checksHeaders;
+}
+
+module.exports = {
+  id: 'webhook-authentication',
+
+  check(workflow, context) {
+    const issues = [];
+
+    for (const node of context.nodes) {
+      const parameters = node.parameters || {};
+      const authenticated = (parameters.authentication && parameters.authentication !== 'none') ||
+        (node.credentials && Object.keys(node.credentials).length > 0) ||
+        Boolean(parameters.options?.ipWhitelist);
+      if (authenticated) continue;
+
+      const verified = context.graph.getChildren(node.name)
+        .map(name => context.graph.nodes.get(name))
+        .some(child => child && isVerifyingNode(child));
+      if (verified) continue;
+
+      const isForm = node.type === 'n8n-nodes-base.formTrigger';
+      issues.push({
+        node: node.name,
+        path: ['parameters', 'authentication'],
+        // Public forms are often intentional; open webhooks rarely are
+        severity: isForm ? 'warning' : 'error',
+        message: `${isForm ? 'Form' : 'Webhook'} "${node.name}" accepts unauthenticated requests` +
+          (parameters.path ? ` on /${isForm ? 'form' : 'webhook'}/${String(parameters.path).replace(/^\/+/, '')}` : '')
+      });
+    }
+
+    return issues;
+  }
+};
@@ -0,0 +1,24 @@
+/**
+ * Rule: webhook-body-limit
+ * Webhooks that accept a request body should cap its size (options.maxBodySize)
+ */
+
+const BODY_METHODS = ['POST', 'PUT', 'PATCH'];
+
+module.exports = {
+  id: 'webhook-body-limit',
+
+  check(workflow, context) {
+    return context.nodes
+      .filter(node => {
+        const parameters = node.parameters || {};
+        const methods = [].concat(parameters.httpMethod || parameters.method || 'GET').map(m => String(m).toUpperCase());
+        return methods.some(m => BODY_METHODS.includes(m)) && parameters.options?.maxBodySize === undefined;
+      })
+      .map(node => ({
+        node: node.name,
+        path: ['parameters', 'options', 'maxBodySize'],
+        message: `Webhook "${node.name}" accepts request bodies without a size limit`
+      }));
+  }
+};
@@ -0,0 +1,45 @@
+/**
+ * Rule: webhook-path-unique
+ * Public webhook/form paths must not collide within the workflow, or with
+ * other files in options.endpointRegistry (built by batch runs); registry
+ * entries from options.file are the workflow itself
+ */
+
+const { getEndpoints, getOtherEndpoints } = require('../webhook-endpoints');
+
+module.exports = {
+  id: 'webhook-path-unique',
+
+  check(workflow, context) {
+    const issues = [];
+    const endpoints = getEndpoints(workflow);
+    const registry = context.options.endpointRegistry;
+    const seen = new Map();
+
+    for (const endpoint of endpoints) {
+      const path = ['parameters', 'path'];
+
+      if (seen.has(endpoint.key)) {
+        issues.push({
+          node: endpoint.node,
+          path,
+          message: `"${endpoint.node}" registers ${endpoint.url}, already used by "${seen.get(endpoint.key)}"`
+        });
+        continue;
+      }
+      seen.set(endpoint.key, endpoint.node);
+
+      const others = registry ? getOtherEndpoints(registry, endpoint.key, context.options.file) : [];
+      if (others.length > 0) {
+        issues.push({
+          node: endpoint.node,
+          path,
+          message: `"${endpoint.node}" registers ${endpoint.url}, which collides with ` +
+            others.map(entry => `"${entry.node}" in ${entry.file}`).join(', ')
+        });
+      }
+    }
+
+    return issues;
+  }
+};
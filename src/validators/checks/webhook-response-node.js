@@ -0,0 +1,42 @@
+/**
+ * Rule: webhook-response-node
+ * A webhook with responseMode "responseNode" needs a Respond to Webhook node
+ * downstream, and every Respond to Webhook node needs such a webhook upstream
+ */
+
+const RESPOND_TYPE = 'n8n-nodes-base.respondToWebhook';
+
+module.exports = {
+  id: 'webhook-response-node',
+
+  check(workflow, context) {
+    const issues = [];
+    const respondNodes = workflow.nodes.filter(n => n.type === RESPOND_TYPE);
+    const answered = new Set();
+
+    for (const node of context.nodes) {
+      if (node.parameters?.responseMode !== 'responseNode') continue;
+
+      const downstream = context.graph.getDescendants([node.name]);
+      const responders = respondNodes.filter(n => downstream.has(n.name));
+      responders.forEach(n => answered.add(n.name));
+
+      if (responders.length === 0) {
+        issues.push({
+          node: node.name,
+          path: ['parameters', 'responseMode'],
+          message: `"${node.name}" uses responseMode "responseNode" but no Respond to Webhook node follows it`
+        });
+      }
+    }
+
+    for (const node of respondNodes.filter(n => !answered.has(n.name))) {
+      issues.push({
+        node: node.name,
+        message: `Respond to Webhook "${node.name}" is not downstream of a webhook using responseMode "responseNode"`
+      });
+    }
+
+    return issues;
+  }
+};
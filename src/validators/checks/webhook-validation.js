@@ -0,0 +1,31 @@
+/**
+ * Rule: webhook-validation
+ * The first step after a webhook should validate its input
+ * (an IF/Switch/Filter node, or a Code node that throws on bad input)
+ */
+
+const { getNodeSource } = require('../helpers');
+
+const VALIDATING_TYPES = ['n8n-nodes-base.if', 'n8n-nodes-base.switch', 'n8n-nodes-base.filter'];
+
+module.exports = {
+  id: 'webhook-validation',
+
+  check(workflow, context) {
+    const issues = [];
+
+    for (const node of context.nodes) {
+      const nextNodes = context.graph.getChildren(node.name).map(name => context.graph.nodes.get(name));
+
+      const validated = nextNodes.some(next =>
+        VALIDATING_TYPES.includes(next.type) || /\bthrow\b/.test(getNodeSource(next))
+      );
+
+      if (!validated) {
+        issues.push({ node: node.name, message: `Webhook "${node.name}" does not validate its input` });
+      }
+    }
+
+    return issues;
+  }
+};
@@ -0,0 +1,21 @@
+/**
+ * Rule: workflow-fields-present
+ * Workflow must have a name, a nodes array and a connections object
+ */
+
+module.exports = {
+  id: 'workflow-fields-present',
+
+  check(workflow, context) {
+    const issues = [];
+    const original = context.source;
+
+    if (!workflow.name) issues.push({ message: 'Missing workflow name' });
+    if (!Array.isArray(original.nodes)) issues.push({ message: 'Missing or invalid nodes array' });
+    if (!original.connections || typeof original.connections !== 'object') {
+      issues.push({ message: 'Missing connections object' });
+    }
+
+    return issues;
+  }
+};
@@ -0,0 +1,15 @@
+/**
+ * Rule: workflow-size
+ * Large workflows should be split into sub-workflows
+ */
+
+module.exports = {
+  id: 'workflow-size',
+
+  check(workflow, context) {
+    const maxNodes = context.rule.maxNodes || 15;
+    if (workflow.nodes.length <= maxNodes) return [];
+
+    return [{ message: `Workflow has ${workflow.nodes.length} nodes (limit ${maxNodes})` }];
+  }
+};
@@ -0,0 +1,235 @@
+/**
+ * Code Node Static Analysis
+ * Inspects Code/Function node source for the failures the builder produces most:
+ * syntax errors, wrong return shapes, input access that does not fit the
+ * node's mode, and statements that can never run.
+ *
+ * Every issue carries a line number relative to the node's own source.
+ */
+
+const walk = require('acorn-walk');
+const { parseCode, findTopLevelReturns } = require('./code-parser');
+
+const EACH_ITEM_MODE = 'runOnceForEachItem';
+const ALL_ITEMS_ACCESSORS = ['all', 'first', 'last'];
+const EXIT_STATEMENTS = ['ReturnStatement', 'ThrowStatement', 'BreakStatement', 'ContinueStatement'];
+const THROWING_EXPRESSIONS = [
+  'CallExpression', 'NewExpression', 'ThrowStatement', 'AwaitExpression',
+  'MemberExpression', 'TaggedTemplateExpression', 'YieldExpression'
+];
+
+// Several rules analyze the same node; keep recent results keyed by mode + source
+const CACHE_LIMIT = 200;
+const cache = new Map();
+
+/**
+ * Mode and language a Code node runs with, including defaults
+ */
+function getCodeSettings(node) {
+  const parameters = node.parameters || {};
+  return {
+    mode: parameters.mode || 'runOnceForAllItems',
+    language: parameters.language || 'javaScript'
+  };
+}
+
+/**
+ * Whether an object literal has a `json` key
+ */
+function hasJsonKey(objectExpression) {
+  return objectExpression.properties.some(p =>
+    p.type === 'SpreadElement' ||
+    (p.key && (p.key.name === 'json' || p.key.value === 'json'))
+  );
+}
+
+/**
+ * Check the shape of each top-level return against the mode's contract
+ */
+function analyzeReturns(ast, mode) {
+  const issues = [];
+  const returns = findTopLevelReturns(ast);
+
+  if (returns.length === 0) {
+    issues.push({ line: null, message: 'No return statement; the node outputs nothing' });
+  }
+
+  for (const statement of returns) {
+    const line = statement.loc.start.line;
+    const argument = statement.argument;
+    if (!argument) {
+      issues.push({ line, message: 'Empty return; return an array of {json: ...} items' });
+      continue;
+    }
+
+    if (mode === EACH_ITEM_MODE) {
+      if (argument.type === 'ArrayExpression') {
+        issues.push({ line, message: 'Returns an array in "Run Once for Each Item" mode; return a single {json: ...} object' });
+      } else if (argument.type === 'ObjectExpression' && !hasJsonKey(argument)) {
+        issues.push({ line, severity: 'warning', message: 'Returned object has no json key' });
+      }
+      continue;
+    }
+
+    if (argument.type === 'ObjectExpression') {
+      issues.push({ line, message: 'Returns an object instead of an array of {json: ...} items' });
+    } else if (argument.type === 'Literal' || argument.type === 'TemplateLiteral') {
+      issues.push({ line, message: 'Returns a primitive instead of an array of {json: ...} items' });
+    } else if (argument.type === 'ArrayExpression') {
+      const bare = argument.elements.find(el => el && el.type === 'ObjectExpression' && !hasJsonKey(el));
+      const primitive = argument.elements.find(el => el && (el.type === 'Literal' || el.type === 'TemplateLiteral'));
+      if (primitive) {
+        issues.push({ line, message: 'Returns an array of primitives; each item must be {json: ...}' });
+      } else if (bare) {
+        issues.push({ line, severity: 'warning', message: 'Returned array item has no json key' });
+      }
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Names declared anywhere in the source (variables, params, functions)
+ */
+function collectDeclaredNames(ast) {
+  const names = new Set();
+  const addPattern = pattern => {
+    walk.full(pattern, node => {
+      if (node.type === 'Identifier') names.add(node.name);
+    });
+  };
+
+  walk.full(ast, node => {
+    if (node.type === 'VariableDeclarator') addPattern(node.id);
+    if (node.type === 'FunctionDeclaration' && node.id) names.add(node.id.name);
+    if (['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression'].includes(node.type)) {
+      node.params.forEach(addPattern);
+    }
+    if (node.type === 'CatchClause' && node.param) addPattern(node.param);
+  });
+
+  return names;
+}
+
+/**
+ * Flag input access that does not match the node's mode
+ */
+function analyzeInputAccess(ast, mode) {
+  const issues = [];
+  const declared = collectDeclaredNames(ast);
+
+  walk.simple(ast, {
+    Identifier(node) {
+      if (node.name === 'items' && !declared.has('items')) {
+        issues.push(mode === EACH_ITEM_MODE
+          ? { line: node.loc.start.line, message: '"items" is not available in "Run Once for Each Item" mode; use $input.item' }
+          : { line: node.loc.start.line, severity: 'info', message: 'Legacy "items" global; prefer $input.all()' });
+      }
+      if (node.name === '$json' && mode !== EACH_ITEM_MODE && !declared.has('$json')) {
+        issues.push({ line: node.loc.start.line, message: '$json is only available in "Run Once for Each Item" mode; use $input.all() or $input.first().json' });
+      }
+    },
+    MemberExpression(node) {
+      if (node.object.type !== 'Identifier' || node.object.name !== '$input' || node.computed) return;
+
+      const accessor = node.property.name;
+      if (mode === EACH_ITEM_MODE && ALL_ITEMS_ACCESSORS.includes(accessor)) {
+        issues.push({ line: node.loc.start.line, severity: 'warning', message: `$input.${accessor}() in "Run Once for Each Item" mode; use $input.item` });
+      }
+      if (mode !== EACH_ITEM_MODE && accessor === 'item') {
+        issues.push({ line: node.loc.start.line, message: '$input.item is only available in "Run Once for Each Item" mode; use $input.all()' });
+      }
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * Whether a statement always leaves its block (return/throw on every path)
+ */
+function alwaysExits(statement) {
+  if (!statement) return false;
+  switch (statement.type) {
+    case 'ReturnStatement':
+    case 'ThrowStatement':
+      return true;
+    case 'BlockStatement':
+      return statement.body.some(alwaysExits);
+    case 'IfStatement':
+      return alwaysExits(statement.consequent) && alwaysExits(statement.alternate);
+    case 'TryStatement':
+      return alwaysExits(statement.finalizer) ||
+        (alwaysExits(statement.block) && (!statement.handler || alwaysExits(statement.handler.body)));
+    default:
+      return false;
+  }
+}
+
+/**
+ * Whether any expression inside a block could throw at runtime
+ */
+function canThrow(block) {
+  let found = false;
+  walk.full(block, node => {
+    if (THROWING_EXPRESSIONS.includes(node.type)) found = true;
+  });
+  return found;
+}
+
+/**
+ * Find statements after an unconditional exit, and catch blocks that can never run
+ */
+function analyzeReachability(ast) {
+  const issues = [];
+
+  const checkList = statements => {
+    const exitIndex = statements.findIndex(s => EXIT_STATEMENTS.includes(s.type) || alwaysExits(s));
+    const dead = statements.slice(exitIndex + 1).find(s => s.type !== 'FunctionDeclaration' && s.type !== 'EmptyStatement');
+    if (exitIndex !== -1 && dead) {
+      issues.push({ line: dead.loc.start.line, message: 'Unreachable code after return/throw' });
+    }
+  };
+
+  walk.full(ast, node => {
+    if (node.type === 'Program' || node.type === 'BlockStatement') checkList(node.body);
+    if (node.type === 'SwitchCase') checkList(node.consequent);
+    if (node.type === 'TryStatement' && node.handler && !canThrow(node.block)) {
+      issues.push({ line: node.handler.loc.start.line, message: 'catch block is unreachable; nothing in the try block can throw' });
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * Analyze Code node source
+ * @param {string} source
+ * @param {Object} [settings]
+ * @param {string} [settings.mode] - runOnceForAllItems (default) or runOnceForEachItem
+ * @returns {{syntaxError: Object|null, returns: Array, inputAccess: Array, unreachable: Array}}
+ */
+function analyzeCode(source, { mode = 'runOnceForAllItems' } = {}) {
+  const key = `${mode}\0${source}`;
+  if (cache.has(key)) return cache.get(key);
+
+  const { ast, error } = parseCode(source);
+  const result = ast
+    ? {
+        syntaxError: null,
+        returns: analyzeReturns(ast, mode),
+        inputAccess: analyzeInputAccess(ast, mode),
+        unreachable: analyzeReachability(ast)
+      }
+    : { syntaxError: error, returns: [], inputAccess: [], unreachable: [] };
+
+  if (cache.size >= CACHE_LIMIT) cache.clear();
+  cache.set(key, result);
+  return result;
+}
+
+module.exports = {
+  getCodeSettings,
+  analyzeCode
+};
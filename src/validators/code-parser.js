@@ -0,0 +1,60 @@
+/**
+ * Code Node Source Parser
+ * Parses Code/Function node JavaScript with the same allowances n8n gives it
+ * (top-level return and await, since n8n wraps the code in an async function)
+ */
+
+const acorn = require('acorn');
+const walk = require('acorn-walk');
+
+const PARSE_OPTIONS = {
+  ecmaVersion: 'latest',
+  sourceType: 'script',
+  allowReturnOutsideFunction: true,
+  allowAwaitOutsideFunction: true,
+  locations: true
+};
+
+const FUNCTION_TYPES = ['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression'];
+
+/**
+ * Parse node source into an AST
+ * @param {string} source
+ * @returns {{ast: Object|null, error: {message: string, line: number, column: number}|null}}
+ */
+function parseCode(source) {
+  try {
+    return { ast: acorn.parse(source, PARSE_OPTIONS), error: null };
+  } catch (error) {
+    return {
+      ast: null,
+      error: {
+        message: error.message.replace(/\s*\(\d+:\d+\)$/, ''),
+        line: error.loc?.line || null,
+        column: error.loc ? error.loc.column + 1 : null
+      }
+    };
+  }
+}
+
+/**
+ * Return statements that belong to the node body itself, not nested functions
+ * @param {Object} ast
+ * @returns {Array<Object>} ReturnStatement nodes
+ */
+function findTopLevelReturns(ast) {
+  const returns = [];
+  walk.ancestor(ast, {
+    ReturnStatement(node, state, ancestors) {
+      if (!ancestors.some(a => FUNCTION_TYPES.includes(a.type))) {
+        returns.push(node);
+      }
+    }
+  });
+  return returns;
+}
+
+module.exports = {
+  parseCode,
+  findTopLevelReturns
+};
@@ -0,0 +1,111 @@
+/**
+ * Expression Reference Extraction
+ * Finds node references in n8n expressions and Code node source:
+ *   $('Node Name'), $node['Node Name'], $node.Name, $items('Node Name')
+ *
+ * Sources are parsed with acorn so references inside strings and comments
+ * are ignored; anything that fails to parse falls back to a regex scan.
+ */
+
+const acorn = require('acorn');
+const walk = require('acorn-walk');
+const { parseCode } = require('./code-parser');
+
+const REGEX_PATTERNS = [
+  { kind: '$()', pattern: /\$\(\s*(['"`])((?:\\.|(?!\1)[^\\])*)\1\s*\)/g, group: 2 },
+  { kind: '$node', pattern: /\$node\[\s*(['"`])((?:\\.|(?!\1)[^\\])*)\1\s*\]/g, group: 2 },
+  { kind: '$node', pattern: /\$node\.([A-Za-z_$][\w$]*)/g, group: 1 },
+  { kind: '$items', pattern: /\$items\(\s*(['"`])((?:\\.|(?!\1)[^\\])*)\1/g, group: 2 }
+];
+
+/**
+ * Static string value of a Literal or expression-free TemplateLiteral
+ */
+function staticString(node) {
+  if (!node) return null;
+  if (node.type === 'Literal' && typeof node.value === 'string') return node.value;
+  if (node.type === 'TemplateLiteral' && node.expressions.length === 0) {
+    return node.quasis[0].value.cooked;
+  }
+  return null;
+}
+
+/**
+ * Collect references from a parsed AST
+ * @param {Object} ast
+ * @param {number} lineOffset - Added to AST line numbers
+ */
+function referencesFromAst(ast, lineOffset = 0) {
+  const references = [];
+  const add = (kind, nodeName, astNode) => {
+    references.push({ kind, nodeName, line: astNode.loc.start.line + lineOffset });
+  };
+
+  walk.full(ast, astNode => {
+    if (astNode.type === 'CallExpression' && astNode.callee.type === 'Identifier' &&
+        (astNode.callee.name === '$' || astNode.callee.name === '$items')) {
+      const name = staticString(astNode.arguments[0]);
+      if (name !== null) add(astNode.callee.name === '$' ? '$()' : '$items', name, astNode);
+    }
+
+    if (astNode.type === 'MemberExpression' && astNode.object.type === 'Identifier' &&
+        astNode.object.name === '$node') {
+      const name = astNode.computed ? staticString(astNode.property) : astNode.property.name;
+      if (name !== null && name !== undefined) add('$node', name, astNode);
+    }
+  });
+
+  return references;
+}
+
+/**
+ * Collect references with the regex fallback
+ */
+function referencesFromRegex(source, lineOffset = 0) {
+  const references = [];
+  for (const { kind, pattern, group } of REGEX_PATTERNS) {
+    for (const match of source.matchAll(pattern)) {
+      const line = source.slice(0, match.index).split('\n').length + lineOffset;
+      references.push({ kind, nodeName: match[group], line });
+    }
+  }
+  return references;
+}
+
+/**
+ * References in Code node source
+ * @param {string} source
+ * @returns {Array<{kind: string, nodeName: string, line: number}>}
+ */
+function extractCodeReferences(source) {
+  const { ast } = parseCode(source);
+  return ast ? referencesFromAst(ast) : referencesFromRegex(source);
+}
+
+/**
+ * References in a parameter string holding {{ }} expressions
+ * @param {string} value
+ * @returns {Array<{kind: string, nodeName: string, line: number}>}
+ */
+function extractExpressionReferences(value) {
+  const references = [];
+
+  for (const match of value.matchAll(/\{\{([\s\S]*?)\}\}(?!\})/g)) {
+    const segment = match[1];
+    const lineOffset = value.slice(0, match.index).split('\n').length - 1;
+
+    try {
+      const ast = acorn.parseExpressionAt(segment, 0, { ecmaVersion: 'latest', locations: true });
+      references.push(...referencesFromAst(ast, lineOffset));
+    } catch {
+      references.push(...referencesFromRegex(segment, lineOffset));
+    }
+  }
+
+  return references;
+}
+
+module.exports = {
+  extractCodeReferences,
+  extractExpressionReferences
+};
@@ -0,0 +1,29 @@
+/**
+ * Correction: add-error-handling
+ * Set continueOnFail: true on HTTP Request nodes that have no error handling
+ */
+
+const ERROR_OUTPUT_MODES = ['continueRegularOutput', 'continueErrorOutput'];
+
+module.exports = {
+  id: 'add-error-handling',
+
+  apply(workflow) {
+    const operations = [];
+
+    workflow.nodes.forEach((node, index) => {
+      if (node.type !== 'n8n-nodes-base.httpRequest') return;
+      if (node.continueOnFail === true || ERROR_OUTPUT_MODES.includes(node.onError)) return;
+
+      operations.push({
+        node: node.name,
+        op: node.continueOnFail === undefined ? 'add' : 'replace',
+        path: ['nodes', index, 'continueOnFail'],
+        value: true,
+        description: 'Set continueOnFail: true'
+      });
+    });
+
+    return operations;
+  }
+};
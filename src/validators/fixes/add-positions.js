@@ -0,0 +1,30 @@
+/**
+ * Correction: add-positions
+ * Place nodes missing a position on a 5-column grid
+ */
+
+module.exports = {
+  id: 'add-positions',
+
+  apply(workflow) {
+    const operations = [];
+
+    workflow.nodes.forEach((node, index) => {
+      const valid = Array.isArray(node.position) &&
+        node.position.length === 2 &&
+        node.position.every(n => typeof n === 'number');
+      if (valid) return;
+
+      const position = [(index % 5) * 250, Math.floor(index / 5) * 300];
+      operations.push({
+        node: node.name || null,
+        op: node.position === undefined ? 'add' : 'replace',
+        path: ['nodes', index, 'position'],
+        value: position,
+        description: `Set position to [${position.join(', ')}]`
+      });
+    });
+
+    return operations;
+  }
+};
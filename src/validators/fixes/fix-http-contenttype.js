@@ -0,0 +1,53 @@
+/**
+ * Correction: fix-http-contenttype
+ * Switch HTTP Request bodies built from expressions to contentType "raw",
+ * moving a jsonBody expression into the raw body field
+ */
+
+const { isExpression } = require('../helpers');
+
+module.exports = {
+  id: 'fix-http-contenttype',
+
+  apply(workflow) {
+    const operations = [];
+
+    workflow.nodes.forEach((node, index) => {
+      if (node.type !== 'n8n-nodes-base.httpRequest') return;
+
+      const parameters = node.parameters || {};
+      const contentType = parameters.contentType || 'json';
+      const jsonBodyExpression = isExpression(parameters.jsonBody);
+      if (contentType !== 'json' || !(jsonBodyExpression || isExpression(parameters.body))) return;
+
+      const base = ['nodes', index, 'parameters'];
+      operations.push({
+        node: node.name,
+        op: parameters.contentType === undefined ? 'add' : 'replace',
+        path: [...base, 'contentType'],
+        value: 'raw',
+        description: `Changed contentType from "${contentType}" to "raw"`
+      });
+
+      if (jsonBodyExpression && parameters.body === undefined) {
+        operations.push(
+          {
+            node: node.name,
+            op: 'add',
+            path: [...base, 'body'],
+            value: parameters.jsonBody,
+            description: 'Moved jsonBody expression to body'
+          },
+          {
+            node: node.name,
+            op: 'remove',
+            path: [...base, 'jsonBody'],
+            description: 'Removed jsonBody'
+          }
+        );
+      }
+    });
+
+    return operations;
+  }
+};
@@ -0,0 +1,62 @@
+/**
+ * Correction: wrap-code-return
+ * Wrap object literals returned from Code nodes in an array: return [{...}]
+ * Only the node's own top-level returns are touched, never those of callbacks
+ */
+
+const { parseCode, findTopLevelReturns } = require('../code-parser');
+
+const CODE_TYPES = ['n8n-nodes-base.code', 'n8n-nodes-base.function'];
+
+/**
+ * Wrap every top-level `return {...}`, returning the new source and count
+ * Sources that do not parse are left alone
+ */
+function wrapReturns(source) {
+  const { ast } = parseCode(source);
+  if (!ast) return { source, count: 0 };
+
+  const objects = findTopLevelReturns(ast)
+    .map(statement => statement.argument)
+    .filter(argument => argument && argument.type === 'ObjectExpression')
+    .sort((a, b) => b.start - a.start);
+
+  // Splice from the end so earlier offsets stay valid
+  let result = source;
+  for (const { start, end } of objects) {
+    result = `${result.slice(0, start)}[${result.slice(start, end)}]${result.slice(end)}`;
+  }
+
+  return { source: result, count: objects.length };
+}
+
+module.exports = {
+  id: 'wrap-code-return',
+
+  apply(workflow) {
+    const operations = [];
+
+    workflow.nodes.forEach((node, index) => {
+      if (!CODE_TYPES.includes(node.type)) return;
+
+      const parameters = node.parameters || {};
+      if (parameters.mode === 'runOnceForEachItem' || parameters.language === 'python') return;
+
+      const field = parameters.jsCode !== undefined ? 'jsCode' : 'functionCode';
+      if (typeof parameters[field] !== 'string') return;
+
+      const { source, count } = wrapReturns(parameters[field]);
+      if (count === 0) return;
+
+      operations.push({
+        node: node.name,
+        op: 'replace',
+        path: ['nodes', index, 'parameters', field],
+        value: source,
+        description: `Wrapped ${count} object return value${count === 1 ? '' : 's'} in an array`
+      });
+    });
+
+    return operations;
+  }
+};
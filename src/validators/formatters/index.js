@@ -0,0 +1,33 @@
+/**
+ * Output formatters for validation reports
+ *
+ * Each formatter exports { id, format(reports, context) } and returns a string.
+ * A report is { file, source, validation } where source is the raw file text
+ * and validation the result of validateWorkflow() (./validate-workflow.js).
+ * The context carries `rules` (RuleEngine.getRules()) for rule metadata.
+ */
+
+const FORMATTERS = {
+  json: require('./json'),
+  text: require('./text'),
+  sarif: require('./sarif'),
+  junit: require('./junit')
+};
+
+/**
+ * Look up a formatter by name
+ * @param {string} name - json | text | sarif | junit
+ * @returns {Object}
+ */
+function getFormatter(name) {
+  const formatter = FORMATTERS[name];
+  if (!formatter) {
+    throw new Error(`Unknown format "${name}" (expected ${Object.keys(FORMATTERS).join(', ')})`);
+  }
+  return formatter;
+}
+
+module.exports = {
+  FORMATTERS,
+  getFormatter
+};
@@ -0,0 +1,18 @@
+/**
+ * Formatter: json
+ * The validation object as-is; for several files, a batch summary plus
+ * one validation object per file
+ */
+
+const { summarizeReports } = require('./summary');
+
+module.exports = {
+  id: 'json',
+
+  format(reports) {
+    const output = reports.length === 1
+      ? reports[0].validation
+      : { summary: summarizeReports(reports), files: reports.map(report => report.validation) };
+    return JSON.stringify(output, null, 2);
+  }
+};
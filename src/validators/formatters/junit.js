@@ -0,0 +1,94 @@
+/**
+ * Formatter: junit
+ * JUnit XML with one testsuite per workflow file and one testcase per check.
+ * Error-level findings fail the testcase, checks that crashed are errors,
+ * skipped checks are skipped; warnings and suppressed findings are listed
+ * in system-out.
+ */
+
+const STATUS_TAGS = { FAIL: 'failure', ERROR: 'error' };
+
+/**
+ * Escape text for XML attributes and content
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * One line per finding: severity, message, node and JSON Pointer
+ */
+function describeFindings(findings, file) {
+  return findings
+    .map(f => `[${f.status === 'suppressed' ? 'suppressed' : f.severity}] ${f.message} (${file}${f.pointer ? `#${f.pointer}` : ''}` +
+      (f.node ? `, node "${f.node}"` : '') + ')')
+    .join('\n');
+}
+
+/**
+ * XML for one check result
+ */
+function formatTestCase(check, findings, file) {
+  const name = check.ruleId ? `${check.ruleId}: ${check.step}` : check.step;
+  const open = `    <testcase classname="${escapeXml(check.category || 'workflow')}" name="${escapeXml(name)}" file="${escapeXml(file)}">`;
+  const body = [];
+
+  const tag = STATUS_TAGS[check.status];
+  if (tag) {
+    const failing = findings.filter(f => f.severity === 'error' && f.status !== 'suppressed');
+    body.push(`      <${tag} message="${escapeXml(check.details)}" type="${escapeXml(check.severity || 'error')}">` +
+      `${escapeXml(failing.length > 0 ? describeFindings(failing, file) : check.details)}</${tag}>`);
+  } else if (check.status === 'SKIP') {
+    body.push(`      <skipped message="${escapeXml(check.details)}"/>`);
+  }
+
+  const notes = findings.filter(f => f.severity !== 'error' || f.status === 'suppressed');
+  if (notes.length > 0) {
+    body.push(`      <system-out>${escapeXml(describeFindings(notes, file))}</system-out>`);
+  }
+
+  return body.length === 0
+    ? open.replace(/>$/, '/>')
+    : [open, ...body, '    </testcase>'].join('\n');
+}
+
+module.exports = {
+  id: 'junit',
+
+  format(reports) {
+    const suites = [];
+    const totals = { tests: 0, failures: 0, errors: 0, skipped: 0 };
+
+    for (const { file, validation } of reports) {
+      const { checks, findings } = validation;
+      const counts = {
+        tests: checks.length,
+        failures: checks.filter(c => c.status === 'FAIL').length,
+        errors: checks.filter(c => c.status === 'ERROR').length,
+        skipped: checks.filter(c => c.status === 'SKIP').length
+      };
+      for (const key of Object.keys(totals)) totals[key] += counts[key];
+
+      const cases = checks.map(check =>
+        formatTestCase(check, findings.filter(f => check.ruleId && f.ruleId === check.ruleId), file));
+
+      suites.push(
+        `  <testsuite name="${escapeXml(file)}" tests="${counts.tests}" failures="${counts.failures}" ` +
+        `errors="${counts.errors}" skipped="${counts.skipped}">\n${cases.join('\n')}\n  </testsuite>`
+      );
+    }
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="n8n workflow validation" tests="${totals.tests}" failures="${totals.failures}" ` +
+        `errors="${totals.errors}" skipped="${totals.skipped}">`,
+      ...suites,
+      '</testsuites>'
+    ].join('\n');
+  }
+};
@@ -0,0 +1,89 @@
+/**
+ * Formatter: sarif
+ * SARIF 2.1.0 log for GitHub code scanning and other SARIF viewers.
+ * Each finding is located on the line of its JSON Pointer in the workflow file,
+ * with the node as a logical location. Suppressed findings carry a SARIF
+ * suppression (inSource for node notes and workflow meta, external for the baseline).
+ */
+
+const { indexJsonLines, getLine } = require('../json-locator');
+const pkg = require('../../../package.json');
+
+const LEVELS = { error: 'error', warning: 'warning', info: 'note' };
+
+/**
+ * Rule descriptors for the tool driver
+ */
+function describeRules(rules) {
+  return rules.map(rule => ({
+    id: rule.id,
+    name: rule.name,
+    shortDescription: { text: rule.name },
+    fullDescription: { text: rule.check || rule.name },
+    help: { text: rule.fix || rule.check || rule.name },
+    defaultConfiguration: { level: LEVELS[rule.severity] || 'warning' },
+    properties: { category: rule.category }
+  }));
+}
+
+/**
+ * SARIF result for one finding
+ */
+function toResult(finding, file, lines) {
+  const location = {
+    physicalLocation: {
+      artifactLocation: { uri: file },
+      region: { startLine: lines ? getLine(lines, finding.pointer) : 1 }
+    }
+  };
+  if (finding.node) {
+    location.logicalLocations = [{ name: finding.node, fullyQualifiedName: finding.pointer, kind: 'object' }];
+  }
+
+  const result = {
+    ruleId: finding.ruleId,
+    level: LEVELS[finding.severity] || 'warning',
+    message: { text: finding.fix ? `${finding.message}. Fix: ${finding.fix}` : finding.message },
+    locations: [location],
+    properties: { category: finding.category, node: finding.node, jsonPointer: finding.pointer }
+  };
+  if (finding.suppression) {
+    result.suppressions = [{
+      kind: finding.suppression.source === 'baseline' ? 'external' : 'inSource',
+      justification: finding.suppression.reason || `Suppressed in ${finding.suppression.source}`
+    }];
+  }
+
+  return result;
+}
+
+module.exports = {
+  id: 'sarif',
+
+  format(reports, context) {
+    const results = [];
+
+    for (const { file, source, validation } of reports) {
+      const lines = source ? indexJsonLines(source) : null;
+      results.push(...validation.findings.map(finding => toResult(finding, file, lines)));
+    }
+
+    const log = {
+      $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+      version: '2.1.0',
+      runs: [{
+        tool: {
+          driver: {
+            name: 'farsight-workflow-validator',
+            version: pkg.version,
+            rules: describeRules(context.rules)
+          }
+        },
+        artifacts: reports.map(report => ({ location: { uri: report.file } })),
+        results
+      }]
+    };
+
+    return JSON.stringify(log, null, 2);
+  }
+};
@@ -0,0 +1,61 @@
+/**
+ * Aggregate results across several validated workflow files
+ */
+
+/**
+ * Totals and per-file rows for a batch of reports
+ * @param {Array<Object>} reports - { file, validation }
+ * @returns {Object} { files, passed, failed, errors, warnings, suppressed, averageScore, lowestScore, rows }
+ */
+function summarizeReports(reports) {
+  const rows = reports.map(({ file, validation }) => ({
+    file,
+    errors: validation.errors.length,
+    warnings: validation.warnings.length,
+    suppressed: (validation.suppressed || []).length,
+    score: validation.quality.score,
+    passed: validation.quality.passed
+  }));
+  const scores = rows.map(row => row.score);
+
+  return {
+    files: rows.length,
+    passed: rows.filter(row => row.passed).length,
+    failed: rows.filter(row => !row.passed).length,
+    errors: rows.reduce((sum, row) => sum + row.errors, 0),
+    warnings: rows.reduce((sum, row) => sum + row.warnings, 0),
+    suppressed: rows.reduce((sum, row) => sum + row.suppressed, 0),
+    averageScore: scores.length > 0 ? Math.round(scores.reduce((a, b) => a + b, 0) / scores.length) : 100,
+    lowestScore: scores.length > 0 ? Math.min(...scores) : 100,
+    rows
+  };
+}
+
+/**
+ * Plain-text table: file, errors, warnings, score, result
+ * @param {Object} summary - From summarizeReports()
+ * @returns {string}
+ */
+function formatSummaryTable(summary) {
+  const fileWidth = Math.max(4, ...summary.rows.map(row => row.file.length));
+  const header = `${'File'.padEnd(fileWidth)}  Errors  Warnings  Score  Result`;
+  const lines = [header, '-'.repeat(header.length)];
+
+  for (const row of summary.rows) {
+    lines.push(`${row.file.padEnd(fileWidth)}  ${String(row.errors).padStart(6)}  ` +
+      `${String(row.warnings).padStart(8)}  ${String(row.score).padStart(5)}  ${row.passed ? '✅ pass' : '❌ fail'}`);
+  }
+
+  lines.push('-'.repeat(header.length));
+  lines.push(`${summary.files} file(s): ${summary.passed} passed, ${summary.failed} failed, ` +
+    `${summary.errors} error(s), ${summary.warnings} warning(s), ` +
+    (summary.suppressed > 0 ? `${summary.suppressed} suppressed, ` : '') +
+    `average score ${summary.averageScore}, lowest ${summary.lowestScore}`);
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  summarizeReports,
+  formatSummaryTable
+};
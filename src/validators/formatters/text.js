@@ -0,0 +1,117 @@
+/**
+ * Formatter: text
+ * Human-readable findings grouped by file, with a summary table for batches.
+ * Suppressed findings are listed after the open ones with their reason.
+ */
+
+const { summarizeReports, formatSummaryTable } = require('./summary');
+
+const ICONS = { error: '❌', warning: '⚠️ ', info: 'ℹ️ ' };
+const STATUS_ICONS = { covered: '✅', partial: '⚠️ ', uncovered: '❌', deferred: '⏸️ ', unrecognized: '❔' };
+
+/**
+ * Traceability matrix rows: requirement, status, nodes, missing needs
+ */
+function formatRequirements(requirements) {
+  const lines = ['  Requirements:'];
+
+  for (const entry of requirements) {
+    const missing = entry.needs.filter(need => !need.covered).map(need => need.description);
+    lines.push(`    ${STATUS_ICONS[entry.status]} ${entry.id.padEnd(4)} ${entry.status.padEnd(12)} ${entry.text}`);
+    if (entry.nodes.length > 0) lines.push(`         → ${entry.nodes.join(', ')}`);
+    if (missing.length > 0) lines.push(`         missing: ${missing.join(', ')}`);
+  }
+
+  return lines;
+}
+
+/**
+ * Why a finding is suppressed: source and reason
+ */
+function formatSuppression(suppression) {
+  return suppression.reason ? `${suppression.source}: ${suppression.reason}` : suppression.source;
+}
+
+/**
+ * A fixed value, shortened to one line; "(unset)" for a missing field
+ */
+function formatValue(value) {
+  if (value === undefined) return '(unset)';
+  const text = JSON.stringify(value);
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+/**
+ * One line per applied fix: node, JSON Pointer, value before → after
+ */
+function formatFixes(fixes) {
+  const lines = [`  🔧 ${fixes.applied} fix(es) applied` + (fixes.writtenTo ? ` → ${fixes.writtenTo}` : '')];
+
+  for (const [node, changes] of Object.entries(fixes.byNode)) {
+    for (const change of changes) {
+      lines.push(`     ${node === '(workflow)' ? '' : `"${node}" `}${change.path}: ` +
+        `${formatValue(change.before)} → ${formatValue(change.after)}  [${change.correctionId}]`);
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Where a finding points: node name and JSON Pointer
+ */
+function formatLocation(finding) {
+  const parts = [];
+  if (finding.node) parts.push(`"${finding.node}"`);
+  if (finding.pointer) parts.push(finding.pointer);
+  return parts.join(' ');
+}
+
+module.exports = {
+  id: 'text',
+
+  format(reports) {
+    const lines = [];
+
+    for (const { file, validation } of reports) {
+      lines.push(file);
+
+      const open = validation.findings.filter(f => f.status !== 'suppressed');
+      const suppressed = validation.findings.filter(f => f.status === 'suppressed');
+
+      for (const finding of open) {
+        const location = formatLocation(finding);
+        lines.push(`  ${ICONS[finding.severity] || ICONS.info} ${finding.severity.padEnd(7)} ` +
+          `${finding.message}  [${finding.ruleId}]` + (location ? `  at ${location}` : ''));
+        if (finding.fix) lines.push(`             fix: ${finding.fix}`);
+      }
+
+      for (const finding of suppressed) {
+        const location = formatLocation(finding);
+        lines.push(`  🔇 suppressed ${finding.message}  [${finding.ruleId}]` + (location ? `  at ${location}` : ''));
+        lines.push(`             by ${formatSuppression(finding.suppression)}`);
+      }
+
+      if (validation.requirements) {
+        lines.push(...formatRequirements(validation.requirements));
+      }
+
+      if (validation.fixes) {
+        lines.push(...formatFixes(validation.fixes));
+      }
+
+      const { quality } = validation;
+      lines.push(`  ${quality.passed ? '✅' : '❌'} Score ${quality.score}/100` +
+        (quality.minScore !== null ? ` (min ${quality.minScore})` : '') +
+        `, ${validation.errors.length} error(s), ${validation.warnings.length} warning(s)` +
+        (suppressed.length > 0 ? `, ${suppressed.length} suppressed` : ''));
+      lines.push('');
+    }
+
+    if (reports.length > 1) {
+      lines.push(formatSummaryTable(summarizeReports(reports)));
+    }
+
+    return lines.join('\n').trimEnd();
+  }
+};
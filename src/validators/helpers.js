@@ -0,0 +1,117 @@
+/**
+ * Shared helpers for validation check modules
+ * Small, dependency-free utilities for walking n8n workflow JSON
+ */
+
+// Entry-point node types that do not follow the "...Trigger" naming
+const TRIGGER_TYPES = [
+  'n8n-nodes-base.webhook',
+  'n8n-nodes-base.cron',
+  'n8n-nodes-base.interval',
+  'n8n-nodes-base.start'
+];
+
+/**
+ * Check whether a node matches a rule's nodeTypes list
+ * An empty or missing list matches every node
+ * @param {Object} node
+ * @param {string[]} [nodeTypes]
+ * @returns {boolean}
+ */
+function matchesNodeTypes(node, nodeTypes) {
+  if (!nodeTypes || nodeTypes.length === 0) return true;
+  return nodeTypes.includes(node.type);
+}
+
+/**
+ * Whether a node starts executions (any *Trigger type, webhook, cron, ...)
+ */
+function isTriggerNode(node) {
+  const type = node.type || '';
+  return /trigger$/i.test(type) || TRIGGER_TYPES.includes(type);
+}
+
+/**
+ * Whether a parameter value is an n8n expression
+ */
+function isExpression(value) {
+  return typeof value === 'string' && value.includes('{{');
+}
+
+/**
+ * Read a parameter by dotted path, e.g. "options.timeout"
+ * @param {Object} parameters
+ * @param {string} dottedPath
+ * @returns {*} Value or undefined
+ */
+function getParameter(parameters, dottedPath) {
+  return dottedPath.split('.').reduce(
+    (value, key) => (value !== null && typeof value === 'object' ? value[key] : undefined),
+    parameters
+  );
+}
+
+/**
+ * Visit every string leaf inside a parameters object
+ * @param {*} value
+ * @param {Function} visit - Called with (string, pathArray)
+ * @param {Array} [pathSoFar]
+ */
+function walkStrings(value, visit, pathSoFar = []) {
+  if (typeof value === 'string') {
+    visit(value, pathSoFar);
+  } else if (Array.isArray(value)) {
+    value.forEach((item, i) => walkStrings(item, visit, [...pathSoFar, i]));
+  } else if (value !== null && typeof value === 'object') {
+    for (const [key, item] of Object.entries(value)) {
+      walkStrings(item, visit, [...pathSoFar, key]);
+    }
+  }
+}
+
+/**
+ * Format a parameter path array as "parameters.a.b[0].c"
+ */
+function formatPath(pathArray) {
+  return pathArray.reduce(
+    (result, key) => (typeof key === 'number' ? `${result}[${key}]` : `${result}.${key}`),
+    'parameters'
+  );
+}
+
+/**
+ * Format a path array as an RFC 6901 JSON Pointer, e.g. "/nodes/0/position"
+ */
+function toJsonPointer(pathArray) {
+  return pathArray
+    .map(key => `/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`)
+    .join('');
+}
+
+/**
+ * Source code of a Code/Function node, whichever field holds it
+ */
+function getNodeSource(node) {
+  const parameters = node.parameters || {};
+  return parameters.jsCode || parameters.functionCode || '';
+}
+
+/**
+ * Path (relative to the node) of the field returned by getNodeSource()
+ */
+function getNodeSourcePath(node) {
+  const parameters = node.parameters || {};
+  return ['parameters', parameters.jsCode || !parameters.functionCode ? 'jsCode' : 'functionCode'];
+}
+
+module.exports = {
+  matchesNodeTypes,
+  isTriggerNode,
+  isExpression,
+  getParameter,
+  walkStrings,
+  formatPath,
+  toJsonPointer,
+  getNodeSource,
+  getNodeSourcePath
+};
@@ -0,0 +1,93 @@
+/**
+ * JSON Locator
+ * Maps JSON Pointers to 1-based line numbers in the original file text, so
+ * findings can be annotated on the right line of a workflow file
+ */
+
+const { toJsonPointer } = require('./helpers');
+
+/**
+ * Scan JSON text and record the line on which each value starts
+ *
+ * Text that ends early (a truncated file) yields the values read so far.
+ * @param {string} text - Raw JSON
+ * @returns {Map<string, number>} Line number keyed by JSON Pointer
+ */
+function indexJsonLines(text) {
+  const lines = new Map();
+  let i = 0;
+  let line = 1;
+
+  const skipWhitespace = () => {
+    while (i < text.length && /\s/.test(text[i])) {
+      if (text[i] === '\n') line++;
+      i++;
+    }
+  };
+
+  const readString = () => {
+    const start = i++;
+    while (i < text.length && text[i] !== '"') i += text[i] === '\\' ? 2 : 1;
+    if (i >= text.length) return text.slice(start + 1);
+    i++;
+    return JSON.parse(text.slice(start, i));
+  };
+
+  const readValue = (pathArray) => {
+    skipWhitespace();
+    lines.set(toJsonPointer(pathArray), line);
+
+    if (text[i] === '{') {
+      i++;
+      skipWhitespace();
+      while (i < text.length && text[i] !== '}') {
+        skipWhitespace();
+        const key = readString();
+        skipWhitespace();
+        i++; // ':'
+        readValue([...pathArray, key]);
+        skipWhitespace();
+        if (text[i] === ',') i++;
+      }
+      i++;
+    } else if (text[i] === '[') {
+      i++;
+      skipWhitespace();
+      let index = 0;
+      while (i < text.length && text[i] !== ']') {
+        readValue([...pathArray, index++]);
+        skipWhitespace();
+        if (text[i] === ',') i++;
+      }
+      i++;
+    } else if (text[i] === '"') {
+      readString();
+    } else {
+      // At least one character, so a stray '}' or ':' cannot stall the scan
+      do i++; while (i < text.length && !/[\s,\]}]/.test(text[i]));
+    }
+  };
+
+  readValue([]);
+  return lines;
+}
+
+/**
+ * Line of a JSON Pointer, falling back to its nearest existing ancestor
+ * (findings about missing fields point at where the field should be)
+ * @param {Map<string, number>} lines - From indexJsonLines()
+ * @param {string} pointer
+ * @returns {number}
+ */
+function getLine(lines, pointer) {
+  let current = pointer || '';
+  while (current && !lines.has(current)) {
+    current = current.slice(0, current.lastIndexOf('/'));
+  }
+  return lines.get(current) || 1;
+}
+
+module.exports = {
+  indexJsonLines,
+  getLine
+};
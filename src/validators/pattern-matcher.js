@@ -0,0 +1,196 @@
+/**
+ * Pattern Matcher
+ * Compiles the example.incorrect shapes in patterns.json into matchers
+ *
+ * Example kinds:
+ *   { contentType: 'json', ... }  parameter shape, every key must match the node
+ *   '={{ {key: value} }}'         a whole parameter value
+ *   "$json.formData['fieldName']" input access, searched in the expressions and
+ *                                 code of the direct children of matching nodes
+ *                                 ($json there is the matching node's output)
+ *   'return {json: {...}}'        Code node source (code node types only)
+ *
+ * Words like expression, value, key, field and fieldName are placeholders.
+ * Prose examples that fit none of these kinds are not matched.
+ */
+
+const { walkStrings, isExpression, getNodeSource, getNodeSourcePath } = require('./helpers');
+
+const CODE_NODE_TYPES = ['n8n-nodes-base.code', 'n8n-nodes-base.function'];
+const PLACEHOLDERS = {
+  expression: '[\\s\\S]+?',
+  value: '[^{}\\[\\]]+?',
+  key: '[^{}\\[\\]]+?',
+  field: '[^{}\\[\\]]+?',
+  fieldName: '[^{}\\[\\]]+?'
+};
+const TOKEN = /\s+|[A-Za-z_$][\w$]*|'[^']*'|"[^"]*"|[\s\S]/g;
+
+const compiled = new WeakMap();
+
+/**
+ * Convert an example snippet to a regex source with flexible whitespace
+ * @param {string} snippet
+ * @returns {string}
+ */
+function snippetToRegExp(snippet) {
+  const parts = [];
+
+  for (const token of snippet.trim().match(TOKEN) || []) {
+    if (/^\s+$/.test(token)) continue;
+
+    const quoted = token.match(/^(['"])(.*)\1$/);
+    if (PLACEHOLDERS[token]) {
+      parts.push(PLACEHOLDERS[token]);
+    } else if (quoted && PLACEHOLDERS[quoted[2]]) {
+      parts.push(`${quoted[1]}[^${quoted[1]}]*${quoted[1]}`);
+    } else {
+      parts.push(token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    }
+  }
+
+  let source = parts.join('\\s*');
+  if (/[\w$]$/.test(snippet.trim())) source += '(?![\\w$])';
+  if (/^[\w$]/.test(snippet.trim())) source = `(?<![\\w$])${source}`;
+  return source;
+}
+
+/**
+ * Classify an example and build its regex (or shape) matcher
+ * @param {*} example - example.incorrect or example.correct
+ * @param {Object} pattern
+ * @returns {Object|null} { kind, test(value) }
+ */
+function compileExample(example, pattern) {
+  const nodeTypes = pattern.nodeTypes || [];
+
+  if (example && typeof example === 'object' && !Array.isArray(example)) {
+    const fields = Object.entries(example).map(([key, value]) => [key, compileValue(value)]);
+    return {
+      kind: 'parameters',
+      test: parameters => fields.every(([key, test]) => parameters[key] !== undefined && test(parameters[key]))
+    };
+  }
+
+  if (typeof example !== 'string') return null;
+
+  const snippet = example.trim();
+  if (snippet.startsWith('=')) {
+    const regex = new RegExp(`^${snippetToRegExp(snippet)}$`);
+    return { kind: 'value', test: value => regex.test(value.trim()) };
+  }
+  if (snippet.startsWith('$')) {
+    const regex = new RegExp(snippetToRegExp(snippet));
+    return { kind: 'input', test: value => regex.test(value) };
+  }
+  if (nodeTypes.some(type => CODE_NODE_TYPES.includes(type))) {
+    const regex = new RegExp(snippetToRegExp(snippet));
+    return { kind: 'code', test: value => regex.test(value) };
+  }
+
+  return null;
+}
+
+/**
+ * Matcher for one value of a parameter-shape example
+ */
+function compileValue(expected) {
+  if (typeof expected === 'string' && expected.startsWith('=')) {
+    const regex = new RegExp(`^${snippetToRegExp(expected)}$`);
+    return actual => typeof actual === 'string' && regex.test(actual.trim());
+  }
+  return actual => JSON.stringify(actual) === JSON.stringify(expected);
+}
+
+/**
+ * Compile all patterns that have a node-scoped, matchable incorrect example
+ * @param {Array<Object>} patterns - kb.patterns
+ * @returns {Array<Object>} { pattern, kind, incorrect, correct }
+ */
+function compilePatterns(patterns) {
+  if (compiled.has(patterns)) return compiled.get(patterns);
+
+  const result = [];
+  for (const pattern of patterns) {
+    const nodeTypes = (pattern.nodeTypes || []).filter(type => type !== 'all');
+    if (!pattern.example || pattern.example.incorrect === undefined || nodeTypes.length === 0) continue;
+
+    const incorrect = compileExample(pattern.example.incorrect, pattern);
+    if (!incorrect) continue;
+
+    // The correct example only rules out whole values; snippets inside larger
+    // code or expressions are judged on the incorrect shape alone
+    const correct = ['parameters', 'value'].includes(incorrect.kind) && pattern.example.correct !== undefined
+      ? compileExample(pattern.example.correct, pattern)
+      : null;
+    result.push({
+      pattern,
+      nodeTypes,
+      kind: incorrect.kind,
+      incorrect,
+      correct: correct && correct.kind === incorrect.kind ? correct : null
+    });
+  }
+
+  compiled.set(patterns, result);
+  return result;
+}
+
+/**
+ * Whether a value matches the incorrect example but not the correct one
+ */
+function isIncorrect(matcher, value) {
+  return matcher.incorrect.test(value) && !(matcher.correct && matcher.correct.test(value));
+}
+
+/**
+ * Find nodes matching a compiled anti-pattern
+ * @param {Object} matcher - From compilePatterns()
+ * @param {Object} workflow - Normalized workflow
+ * @param {WorkflowGraph} graph
+ * @returns {Array<Object>} { node, path }
+ */
+function findMatches(matcher, workflow, graph) {
+  const matches = [];
+  const targets = workflow.nodes.filter(n => matcher.nodeTypes.includes(n.type));
+
+  if (matcher.kind === 'parameters') {
+    for (const node of targets) {
+      if (isIncorrect(matcher, node.parameters || {})) matches.push({ node: node.name, path: ['parameters'] });
+    }
+  } else if (matcher.kind === 'value') {
+    for (const node of targets) {
+      walkStrings(node.parameters || {}, (value, pathArray) => {
+        if (isIncorrect(matcher, value)) matches.push({ node: node.name, path: ['parameters', ...pathArray] });
+      });
+    }
+  } else if (matcher.kind === 'code') {
+    for (const node of targets) {
+      if (isIncorrect(matcher, getNodeSource(node))) matches.push({ node: node.name, path: getNodeSourcePath(node) });
+    }
+  } else if (matcher.kind === 'input') {
+    const children = new Set(targets.flatMap(node => graph.getChildren(node.name)));
+
+    for (const node of workflow.nodes.filter(n => children.has(n.name))) {
+      const source = getNodeSource(node);
+      if (source && isIncorrect(matcher, source)) {
+        matches.push({ node: node.name, path: getNodeSourcePath(node) });
+        continue;
+      }
+
+      walkStrings(node.parameters || {}, (value, pathArray) => {
+        if (isExpression(value) && isIncorrect(matcher, value)) {
+          matches.push({ node: node.name, path: ['parameters', ...pathArray] });
+        }
+      });
+    }
+  }
+
+  return matches;
+}
+
+module.exports = {
+  snippetToRegExp,
+  compilePatterns,
+  findMatches
+};
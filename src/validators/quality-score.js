@@ -0,0 +1,80 @@
+/**
+ * Quality Score Calculator
+ * Turns rule check results into a 0-100 score using validationScores weights
+ *
+ * Every evaluated rule is worth the weight of its severity level
+ * (critical=10, major=5, warning=2, info=1 by default). A rule earns its
+ * weight only when it produced no findings; skipped rules are left out.
+ * score = earned / possible * 100, overall and per category.
+ */
+
+// Rule severities map onto validationScores levels
+const SEVERITY_LEVELS = {
+  error: 'critical',
+  critical: 'critical',
+  major: 'major',
+  warning: 'warning',
+  info: 'info'
+};
+
+/**
+ * Weight for a rule severity
+ * @param {string} severity - Rule severity (error, warning, ...)
+ * @param {Object} validationScores - kb.validationScores
+ * @returns {number}
+ */
+function getWeight(severity, validationScores) {
+  const level = SEVERITY_LEVELS[severity] || 'info';
+  return validationScores[level]?.weight ?? 1;
+}
+
+/**
+ * Round a ratio to a 0-100 score, treating "nothing evaluated" as perfect
+ */
+function toScore(earned, possible) {
+  return possible === 0 ? 100 : Math.round((earned / possible) * 100);
+}
+
+/**
+ * Calculate overall and per-category quality scores
+ * @param {Array<Object>} checks - Check results from RuleEngine.run()
+ * @param {Object} validationScores - kb.validationScores
+ * @returns {{score: number, categories: Object}}
+ */
+function calculateQualityScore(checks, validationScores = {}) {
+  const categories = {};
+  let earned = 0;
+  let possible = 0;
+
+  for (const check of checks) {
+    if (!check.ruleId || check.status === 'SKIP') continue;
+
+    const weight = getWeight(check.severity, validationScores);
+    const passed = check.status === 'PASS';
+
+    const category = categories[check.category] ||
+      (categories[check.category] = { score: 100, earned: 0, possible: 0, passed: 0, failed: 0 });
+
+    category.possible += weight;
+    possible += weight;
+    if (passed) {
+      category.earned += weight;
+      category.passed++;
+      earned += weight;
+    } else {
+      category.failed++;
+    }
+  }
+
+  for (const category of Object.values(categories)) {
+    category.score = toScore(category.earned, category.possible);
+  }
+
+  return { score: toScore(earned, possible), categories };
+}
+
+module.exports = {
+  SEVERITY_LEVELS,
+  getWeight,
+  calculateQualityScore
+};
@@ -0,0 +1,262 @@
+/**
+ * Brief Requirements Traceability
+ * Extracts requirements from a client brief and maps each one to workflow nodes
+ *
+ * Every list item in the brief (or every sentence, when it has no list) is a
+ * requirement. Each requirement yields needs:
+ *   trigger   - what starts it ("when a customer fills out a form", "weekly")
+ *   condition - a filter it implies ("hasn't ordered in 30 days")
+ *   action    - verb + service ("send ... email", "log ... to our database")
+ *
+ * A requirement without its own trigger inherits the previous one, as in
+ * "1. when X, send an email  2. also save it to the database". Actions are
+ * looked for downstream of the requirement's trigger nodes.
+ */
+
+const { isTriggerNode } = require('./helpers');
+
+const TRIGGERS = [
+  {
+    kind: 'form',
+    mention: /\b(fills? out|submits?|completes?)\b[^.]*\bforms?\b|\bforms?\b[^.]*\b(submitted|submission)\b/i,
+    nodeType: /formTrigger$|typeformTrigger$|googleFormsTrigger$|jotFormTrigger$/i
+  },
+  {
+    kind: 'inactivity',
+    mention: /\b(hasn'?t|has not|haven'?t|have not|no)\b[^.]*\b(in|for|within) (the last )?\d+ (days?|weeks?|months?)\b/i,
+    nodeType: /scheduleTrigger$|\.cron$|\.interval$/i,
+    condition: true
+  },
+  {
+    kind: 'schedule',
+    mention: /\b(hourly|daily|nightly|weekly|monthly|every (day|night|week|month|hour|morning|evening|monday|friday|\d+ \w+))\b/i,
+    nodeType: /scheduleTrigger$|\.cron$|\.interval$/i
+  },
+  {
+    kind: 'event',
+    mention: /\b(when(ever)?|once|after|if)\b/i,
+    nodeType: /(?<!schedule|error)Trigger$|\.webhook$/i
+  }
+];
+
+const ACTIONS = [
+  { verb: 'send', mention: /\b(send|sends|sending|notify|alert|remind|email them|message)\b/i },
+  { verb: 'store', mention: /\b(save|saves|store|stores|log|logs|record|records|track|tracks|insert|add)\b/i },
+  { verb: 'update', mention: /\b(update|updates|sync|syncs)\b/i },
+  { verb: 'fetch', mention: /\b(fetch|pull|read|retrieve|look up|import)\b/i }
+];
+
+const SERVICES = [
+  { name: 'email', verb: 'send', mention: /\b(e-?mails?|gmail)\b/i, nodeType: /gmail|emailSend|microsoftOutlook|sendGrid|mailgun|mailjet/i },
+  { name: 'database', verb: 'store', mention: /\b(database|db|postgres\w*|mysql|sql|mongo\w*|supabase)\b/i, nodeType: /postgres|mySql|microsoftSql|mongoDb|supabase|oracle|snowflake/i },
+  { name: 'google sheets', verb: 'store', mention: /\b(google sheets?|spreadsheets?)\b/i, nodeType: /googleSheets/i },
+  { name: 'airtable', verb: 'store', mention: /\bairtable\b/i, nodeType: /airtable/i },
+  { name: 'slack', verb: 'send', mention: /\bslack\b/i, nodeType: /slack/i },
+  { name: 'sms', verb: 'send', mention: /\b(sms|text messages?)\b/i, nodeType: /twilio|vonage|messageBird/i },
+  { name: 'crm', verb: 'update', mention: /\b(crm|hubspot|salesforce|pipedrive)\b/i, nodeType: /hubspot|salesforce|pipedrive|zohoCrm/i },
+  { name: 'github', verb: 'update', mention: /\bgithub\b/i, nodeType: /github/i }
+];
+
+const CONDITION_NODE_TYPE = /\.(if|filter|switch)$/i;
+const DEFERRED = /\b(ignore (that|this|it)|for now|later|not needed|out of scope|phase 2)\b/i;
+const STOPWORDS = new Set(['when', 'they', 'them', 'their', 'that', 'this', 'with', 'from', 'into', 'also',
+  'send', 'sends', 'save', 'email', 'emails', 'database', 'customer', 'customers', 'have', 'hasn', 'what', 'your', 'our']);
+
+const cache = new WeakMap();
+
+/**
+ * Split a brief into requirement statements
+ * @param {string} brief
+ * @returns {string[]}
+ */
+function splitRequirements(brief) {
+  const listItem = /^\s*(?:\d+[.)]|[-*•])\s+(.+)$/;
+  const items = brief.split(/\r?\n/)
+    .map(line => line.match(listItem))
+    .filter(Boolean)
+    .map(match => match[1].trim());
+
+  if (items.length > 0) return items;
+
+  return brief
+    .split(/(?<=[.!?])\s+|\r?\n+/)
+    .map(sentence => sentence.trim())
+    .filter(sentence => sentence.length > 0 && (ACTIONS.some(a => a.mention.test(sentence)) ||
+      SERVICES.some(s => s.mention.test(sentence))));
+}
+
+/**
+ * Trigger, condition and actions stated in one requirement
+ * @param {string} text
+ * @returns {{trigger: Object|null, actions: Array<Object>}}
+ */
+function parseRequirement(text) {
+  const trigger = TRIGGERS.find(t => t.mention.test(text)) || null;
+  const actions = [];
+
+  for (const service of SERVICES) {
+    const match = text.match(service.mention);
+    if (!match) continue;
+
+    // The verb is the closest action word before the service mention
+    const before = text.slice(0, match.index);
+    const verbs = ACTIONS
+      .map(action => ({ verb: action.verb, index: lastIndexOf(before, action.mention) }))
+      .filter(v => v.index !== -1)
+      .sort((a, b) => b.index - a.index);
+
+    actions.push({ verb: verbs.length > 0 ? verbs[0].verb : service.verb, service });
+  }
+
+  return { trigger, actions };
+}
+
+/**
+ * Index of the last match of a regex in text, or -1
+ */
+function lastIndexOf(text, regex) {
+  const global = new RegExp(regex.source, 'gi');
+  let index = -1;
+  let match;
+  while ((match = global.exec(text)) !== null) index = match.index;
+  return index;
+}
+
+/**
+ * Significant words of a text, for matching requirements to node names
+ */
+function keywords(text) {
+  return new Set((text.toLowerCase().match(/[a-z]{4,}/g) || []).filter(word => !STOPWORDS.has(word)));
+}
+
+/**
+ * Trigger nodes of a kind, narrowed to those sharing the most words with the requirement
+ */
+function findTriggerNodes(workflow, trigger, text) {
+  const candidates = workflow.nodes.filter(node =>
+    isTriggerNode(node) && !/manualTrigger$/i.test(node.type || '') && trigger.nodeType.test(node.type || ''));
+  if (candidates.length <= 1) return candidates;
+
+  const words = keywords(text);
+  const scored = candidates.map(node => {
+    const nodeWords = keywords(`${node.name} ${node.parameters?.path || ''} ${node.parameters?.formTitle || ''}`);
+    return { node, score: [...nodeWords].filter(word => words.has(word)).length };
+  });
+  const best = Math.max(...scored.map(s => s.score));
+  return best === 0 ? candidates : scored.filter(s => s.score === best).map(s => s.node);
+}
+
+/**
+ * Build the traceability matrix for a brief and a workflow
+ * @param {string} brief
+ * @param {Object} workflow - Normalized workflow
+ * @param {WorkflowGraph} graph
+ * @returns {Array<Object>} { id, text, status, trigger, needs: [{ type, description, nodes, covered }], nodes }
+ */
+function buildTraceabilityMatrix(brief, workflow, graph) {
+  const matrix = [];
+  let previousTrigger = null;
+
+  splitRequirements(brief).forEach((text, i) => {
+    const entry = { id: `R${i + 1}`, text, status: 'covered', trigger: null, needs: [], nodes: [] };
+    matrix.push(entry);
+
+    if (DEFERRED.test(text)) {
+      entry.status = 'deferred';
+      return;
+    }
+
+    const parsed = parseRequirement(text);
+    let trigger = parsed.trigger ? { ...parsed.trigger, phrase: text } : null;
+    if (!trigger && previousTrigger) trigger = { ...previousTrigger, inherited: true };
+    if (parsed.trigger) previousTrigger = trigger;
+
+    let scope = workflow.nodes;
+    if (trigger) {
+      const triggerNodes = findTriggerNodes(workflow, trigger, trigger.phrase);
+      entry.trigger = { kind: trigger.kind, inherited: Boolean(trigger.inherited) };
+      entry.needs.push({
+        type: 'trigger',
+        description: `${trigger.kind} trigger`,
+        nodes: triggerNodes.map(n => n.name),
+        covered: triggerNodes.length > 0
+      });
+
+      if (triggerNodes.length > 0) {
+        const downstream = graph.getDescendants(triggerNodes.map(n => n.name));
+        scope = workflow.nodes.filter(n => downstream.has(n.name));
+      }
+
+      if (trigger.condition) {
+        const conditionNodes = scope.filter(n => CONDITION_NODE_TYPE.test(n.type || ''));
+        entry.needs.push({
+          type: 'condition',
+          description: 'condition filter',
+          nodes: conditionNodes.map(n => n.name),
+          covered: conditionNodes.length > 0
+        });
+      }
+    }
+
+    for (const action of parsed.actions) {
+      const actionNodes = scope.filter(n => !isTriggerNode(n) && action.service.nodeType.test(n.type || ''));
+      entry.needs.push({
+        type: 'action',
+        verb: action.verb,
+        service: action.service.name,
+        description: `${action.verb} ${action.service.name}`,
+        nodes: actionNodes.map(n => n.name),
+        covered: actionNodes.length > 0
+      });
+    }
+
+    const covered = entry.needs.filter(need => need.covered).length;
+    entry.nodes = [...new Set(entry.needs.flatMap(need => need.nodes))];
+    if (parsed.actions.length === 0 && !parsed.trigger) {
+      entry.status = 'unrecognized';
+    } else if (covered === entry.needs.length) {
+      entry.status = 'covered';
+    } else {
+      entry.status = covered === 0 ? 'uncovered' : 'partial';
+    }
+  });
+
+  return matrix;
+}
+
+/**
+ * Traceability matrix for a rule-engine run, built once and shared by the requirement rules
+ * @param {Object} workflow
+ * @param {Object} context - Check context (options.brief, graph)
+ * @returns {Array<Object>|null} null when no brief was given
+ */
+function getTraceabilityMatrix(workflow, context) {
+  const brief = context.options.brief;
+  if (!brief) return null;
+
+  const cached = cache.get(context.graph);
+  if (cached && cached.brief === brief) return cached.matrix;
+
+  const matrix = buildTraceabilityMatrix(brief, workflow, context.graph);
+  cache.set(context.graph, { brief, matrix });
+  return matrix;
+}
+
+/**
+ * Short label for a requirement in findings
+ */
+function describeRequirement(entry) {
+  const text = entry.text.length > 60 ? `${entry.text.slice(0, 57)}...` : entry.text;
+  return `${entry.id} "${text}"`;
+}
+
+module.exports = {
+  TRIGGERS,
+  ACTIONS,
+  SERVICES,
+  splitRequirements,
+  parseRequirement,
+  buildTraceabilityMatrix,
+  getTraceabilityMatrix,
+  describeRequirement
+};
@@ -0,0 +1,323 @@
+/**
+ * Rule Engine for n8n Workflow Validation
+ * Executes every rule in knowledge-bases/validation-rules.json against a workflow
+ *
+ * Each rule id maps to a check module in ./checks/<rule-id>.js:
+ *   module.exports = {
+ *     id: 'positions-present',
+ *     check(workflow, context) { return [{ node: 'Name', message: '...' }]; }
+ *   };
+ *
+ * The context holds the rule, the loaded kb, caller options, the original
+ * (un-normalized) workflow as `source`, a WorkflowGraph as `graph`, and
+ * `nodes` pre-filtered by the rule's nodeTypes.
+ *
+ * A check returns an array of issues (empty when the rule passes), or null
+ * when the rule does not apply to this workflow. The engine attaches the
+ * rule's category, severity and fix text to every issue it reports, plus
+ * the id, why and correct example of the pattern linked by `pattern_id`.
+ *
+ * Issues may also carry `path` (array, relative to the issue's node, e.g.
+ * ['parameters', 'url']) or an absolute `pointer`; the engine turns these
+ * into a JSON Pointer into the workflow file for SARIF/JUnit output.
+ * An issue's own `fix` or `pattern` overrides the rule's.
+ *
+ * Findings covered by a suppression (node notes, workflow meta or the
+ * baseline in options.baseline, see ./suppressions) are kept with status
+ * "suppressed"; the rest are "open". Only open findings fail a rule.
+ * A check that throws fails its rule with an open error finding, "Check failed: ..."
+ *
+ * Custom rules live outside the knowledge base, one module per rule in a
+ * rules directory (options.rulesDir, one path or several). They declare their own metadata and
+ * are scored and reported like the built-in rules:
+ *   module.exports = {
+ *     id: 'team-node-naming',
+ *     name: 'Nodes Follow Team Naming',     // optional, defaults to id
+ *     category: 'conventions',              // existing or new category
+ *     severity: 'warning',                  // error, warning or info
+ *     nodeTypes: ['n8n-nodes-base.code'],   // optional filter for context.nodes
+ *     description: '...', fix: '...',      // optional, shown in reports
+ *     check(workflow, context) { return []; }
+ *   };
+ */
+
+const fs = require('fs');
+const path = require('path');
+const WorkflowGraph = require('./workflow-graph');
+const { matchesNodeTypes, toJsonPointer } = require('./helpers');
+const { getSuppressions, findSuppression } = require('./suppressions');
+const { getIndex } = require('../kb-index');
+
+const CUSTOM_RULE_SEVERITIES = ['error', 'warning', 'info'];
+
+class RuleEngine {
+  constructor(options = {}) {
+    this.checksDir = options.checksDir || path.join(__dirname, 'checks');
+    this.rulesDirs = [].concat(options.rulesDir || []);
+    this.checks = null;
+    this.customRules = null;
+  }
+
+  /**
+   * Discover check modules in the checks directory
+   * @returns {Map<string, Object>} Check modules keyed by rule id
+   */
+  loadChecks() {
+    if (this.checks) return this.checks;
+
+    this.checks = new Map();
+    const files = fs.readdirSync(this.checksDir).filter(f => f.endsWith('.js'));
+
+    for (const file of files) {
+      const checkModule = require(path.join(this.checksDir, file));
+      const id = checkModule.id || path.basename(file, '.js');
+
+      if (typeof checkModule.check !== 'function') {
+        throw new Error(`Check module ${file} does not export a check() function`);
+      }
+      this.checks.set(id, checkModule);
+    }
+
+    for (const rule of this.loadCustomRules()) {
+      if (this.checks.has(rule.id)) {
+        throw new Error(`Custom rule ${path.basename(rule.file)} reuses the built-in rule id "${rule.id}"`);
+      }
+      this.checks.set(rule.id, rule.module);
+    }
+
+    return this.checks;
+  }
+
+  /**
+   * Load and validate the rule modules in the custom rules directories
+   * @returns {Array<Object>} Rule metadata with the module and its file
+   */
+  loadCustomRules() {
+    if (this.customRules) return this.customRules;
+
+    this.customRules = [];
+    for (const dir of this.rulesDirs) this.loadRulesDir(dir);
+    return this.customRules;
+  }
+
+  /**
+   * Add the rule modules of one directory to this.customRules
+   */
+  loadRulesDir(dir) {
+    const rulesDir = path.resolve(dir);
+    if (!fs.existsSync(rulesDir) || !fs.statSync(rulesDir).isDirectory()) {
+      throw new Error(`Custom rules directory not found: ${dir}`);
+    }
+
+    const files = fs.readdirSync(rulesDir).filter(f => f.endsWith('.js')).sort();
+    for (const file of files) {
+      const ruleModule = require(path.join(rulesDir, file));
+      const problem = this.describeInvalidRule(ruleModule);
+      if (problem) throw new Error(`Custom rule ${file} ${problem}`);
+
+      if (this.customRules.some(rule => rule.id === ruleModule.id)) {
+        throw new Error(`Custom rule ${file} reuses the rule id "${ruleModule.id}"`);
+      }
+
+      this.customRules.push({
+        id: ruleModule.id,
+        name: ruleModule.name || ruleModule.id,
+        check: ruleModule.description,
+        category: ruleModule.category,
+        severity: ruleModule.severity,
+        nodeTypes: ruleModule.nodeTypes,
+        fix: ruleModule.fix,
+        pattern_id: ruleModule.pattern_id,
+        custom: true,
+        file: path.join(rulesDir, file),
+        module: ruleModule
+      });
+    }
+  }
+
+  /**
+   * What is missing from a custom rule module, or null when it is complete
+   */
+  describeInvalidRule(ruleModule) {
+    if (!ruleModule || typeof ruleModule !== 'object') return 'does not export an object';
+    if (typeof ruleModule.id !== 'string' || !ruleModule.id) return 'does not declare an id';
+    if (typeof ruleModule.category !== 'string' || !ruleModule.category) return 'does not declare a category';
+    if (!CUSTOM_RULE_SEVERITIES.includes(ruleModule.severity)) {
+      return `has severity "${ruleModule.severity}" (expected ${CUSTOM_RULE_SEVERITIES.join(', ')})`;
+    }
+    if (typeof ruleModule.check !== 'function') return 'does not export a check() function';
+    return null;
+  }
+
+  /**
+   * Flatten validation categories into a list of rules tagged with their
+   * category, followed by the custom rules
+   * @param {Object} validationCategories - kb.validationRules from the loader
+   * @returns {Array<Object>}
+   */
+  getRules(validationCategories) {
+    const rules = [];
+    for (const [categoryName, category] of Object.entries(validationCategories || {})) {
+      for (const rule of category.rules || []) {
+        rules.push({
+          ...rule,
+          category: categoryName,
+          severity: rule.severity || category.severity || 'warning'
+        });
+      }
+    }
+
+    for (const { module: checkModule, ...rule } of this.loadCustomRules()) {
+      if (rules.some(r => r.id === rule.id)) {
+        throw new Error(`Custom rule ${path.basename(rule.file)} reuses the built-in rule id "${rule.id}"`);
+      }
+      rules.push(rule);
+    }
+
+    return rules;
+  }
+
+  /**
+   * Run all rules against a workflow
+   * @param {Object} workflow - Parsed workflow JSON
+   * @param {Object} kb - Knowledge base from KnowledgeBaseLoader.load()
+   * @param {Object} [options] - Passed through to checks (e.g. brief); baseline
+   *   and file select the baseline suppressions for this workflow
+   * @returns {{checks: Array<Object>, findings: Array<Object>, graph: WorkflowGraph}}
+   */
+  run(workflow, kb, options = {}) {
+    const checks = this.loadChecks();
+    const normalized = {
+      ...workflow,
+      nodes: Array.isArray(workflow.nodes) ? workflow.nodes : [],
+      connections: workflow.connections || {}
+    };
+    const graph = new WorkflowGraph(normalized);
+    const suppressions = getSuppressions(normalized, options);
+
+    const results = [];
+    const findings = [];
+
+    for (const rule of this.getRules(kb.validationRules)) {
+      const checkModule = checks.get(rule.id);
+
+      if (!checkModule) {
+        results.push(this.createResult(rule, 'SKIP', 'No check module registered for this rule'));
+        continue;
+      }
+
+      let issues;
+      try {
+        issues = checkModule.check(normalized, {
+          rule,
+          kb,
+          options,
+          source: workflow,
+          graph,
+          nodes: normalized.nodes.filter(n => matchesNodeTypes(n, rule.nodeTypes))
+        });
+      } catch (error) {
+        // A broken check must not pass the workflow; reported as an open error, never suppressed
+        const message = `Check failed: ${error.message}`;
+        findings.push({
+          ruleId: rule.id,
+          category: rule.category,
+          severity: 'error',
+          node: null,
+          pointer: '',
+          message,
+          fix: null,
+          status: 'open'
+        });
+        results.push(this.createResult(rule, 'ERROR', message));
+        continue;
+      }
+
+      if (issues === null) {
+        results.push(this.createResult(rule, 'SKIP', 'Not applicable to this workflow'));
+        continue;
+      }
+
+      const linkedPattern = rule.pattern_id && getIndex(kb).patterns.get(rule.pattern_id);
+      const ruleFindings = issues.map(issue => {
+        const finding = {
+          ruleId: rule.id,
+          category: rule.category,
+          severity: issue.severity || rule.severity,
+          node: issue.node || null,
+          pointer: this.getPointer(normalized, issue),
+          message: issue.message,
+          fix: issue.fix || rule.fix || null
+        };
+        const pattern = issue.pattern || linkedPattern;
+        if (pattern) finding.pattern = this.describePattern(pattern);
+
+        const suppression = findSuppression(suppressions, finding);
+        finding.status = suppression ? 'suppressed' : 'open';
+        if (suppression) finding.suppression = { source: suppression.source, reason: suppression.reason };
+        return finding;
+      });
+      findings.push(...ruleFindings);
+
+      const open = ruleFindings.filter(f => f.status === 'open');
+      const suppressed = ruleFindings.length - open.length;
+      results.push(this.createResult(
+        rule,
+        this.getStatus(open),
+        open.length === 0
+          ? `${rule.check || 'Passed'}${suppressed > 0 ? ` (${suppressed} suppressed)` : ''}`
+          : open.map(f => f.message).join('; ')
+      ));
+    }
+
+    return { checks: results, findings, graph };
+  }
+
+  /**
+   * JSON Pointer into the workflow for an issue: explicit pointer, else the
+   * issue's node plus its relative path, else the workflow root
+   */
+  getPointer(workflow, issue) {
+    if (issue.pointer) return issue.pointer;
+
+    const index = issue.node ? workflow.nodes.findIndex(n => n.name === issue.node) : -1;
+    if (index === -1) return '';
+
+    return toJsonPointer(['nodes', index, ...(issue.path || [])]);
+  }
+
+  /**
+   * The parts of a patterns.json entry worth showing next to a finding
+   */
+  describePattern(pattern) {
+    return {
+      id: pattern.id,
+      why: pattern.why || null,
+      correct: pattern.example?.correct ?? null
+    };
+  }
+
+  /**
+   * Derive a check status from the findings it produced
+   */
+  getStatus(findings) {
+    if (findings.length === 0) return 'PASS';
+    return findings.some(f => f.severity === 'error') ? 'FAIL' : 'WARN';
+  }
+
+  /**
+   * Build a per-rule check result entry
+   */
+  createResult(rule, status, details) {
+    return {
+      step: rule.name,
+      ruleId: rule.id,
+      category: rule.category,
+      severity: rule.severity,
+      status,
+      details
+    };
+  }
+}
+
+module.exports = RuleEngine;
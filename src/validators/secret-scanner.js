@@ -0,0 +1,189 @@
+/**
+ * Secret Scanner for n8n Workflows
+ * Walks every node parameter (URLs, headers, query params, bodies, jsCode)
+ * looking for provider API keys and high-entropy strings
+ *
+ * Findings never contain the secret itself: values are masked, and a
+ * sha256 fingerprint identifies them for allowlisting.
+ *
+ * Allowlist file format (JSON array):
+ *   [
+ *     { "fingerprint": "sha256:ab12...", "reason": "Dummy key in test workflow" },
+ *     { "node": "Test Request", "path": "parameters.url", "reason": "..." },
+ *     { "pattern": "^sk-test-", "reason": "..." }
+ *   ]
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { walkStrings, formatPath } = require('./helpers');
+
+const PROVIDER_PATTERNS = [
+  { provider: 'Google API key', pattern: /AIza[0-9A-Za-z_-]{35}/g },
+  { provider: 'Anthropic API key', pattern: /sk-ant-[A-Za-z0-9_-]{32,}/g },
+  { provider: 'OpenAI API key', pattern: /sk-(?!ant-)(?:proj-|svcacct-)?[A-Za-z0-9_-]{20,}/g },
+  { provider: 'Slack token', pattern: /xox[abposr]-[A-Za-z0-9-]{10,}/g },
+  { provider: 'Slack webhook URL', pattern: /https:\/\/hooks\.slack\.com\/services\/T[A-Z0-9]+\/B[A-Z0-9]+\/[A-Za-z0-9]{20,}/g },
+  { provider: 'AWS access key ID', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { provider: 'AWS secret access key', pattern: /aws.{0,20}?['"=:\s]([A-Za-z0-9/+]{40})\b/gi, group: 1 },
+  { provider: 'GitHub token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{40,})\b/g },
+  { provider: 'Stripe secret key', pattern: /\b[rs]k_live_[A-Za-z0-9]{20,}\b/g },
+  { provider: 'JSON Web Token', pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g }
+];
+
+const TOKEN_PATTERN = /[A-Za-z0-9+/=_-]{24,}/g;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DEFAULT_ENTROPY_THRESHOLD = 4.2;
+
+/**
+ * Shannon entropy in bits per character
+ */
+function shannonEntropy(value) {
+  const counts = new Map();
+  for (const char of value) counts.set(char, (counts.get(char) || 0) + 1);
+
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const p = count / value.length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+/**
+ * Mask a secret, keeping just enough to recognise it
+ */
+function maskSecret(secret) {
+  if (secret.length <= 12) return `${secret.slice(0, 2)}…`;
+  return `${secret.slice(0, 4)}…${secret.slice(-4)}`;
+}
+
+/**
+ * Stable identifier for a secret that does not reveal it
+ */
+function fingerprint(secret) {
+  return `sha256:${crypto.createHash('sha256').update(secret).digest('hex')}`;
+}
+
+/**
+ * Load an allowlist file, returning [] when no path is given
+ * @param {string|null} filePath
+ * @returns {Array<Object>}
+ */
+function loadAllowlist(filePath) {
+  if (!filePath) return [];
+
+  try {
+    const entries = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    if (!Array.isArray(entries)) throw new Error('expected an array of entries');
+    return entries;
+  } catch (error) {
+    throw new Error(`Failed to load secret allowlist ${filePath}: ${error.message}`);
+  }
+}
+
+class SecretScanner {
+  /**
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.allowlist] - Entries from loadAllowlist()
+   * @param {number} [options.entropyThreshold] - Bits per char for generic secrets
+   */
+  constructor(options = {}) {
+    this.allowlist = (options.allowlist || []).map(entry => ({
+      ...entry,
+      regex: entry.pattern ? new RegExp(entry.pattern) : null
+    }));
+    this.entropyThreshold = options.entropyThreshold || DEFAULT_ENTROPY_THRESHOLD;
+  }
+
+  /**
+   * Scan one string for secrets
+   * @param {string} value
+   * @returns {Array<{provider: string, secret: string, confidence: string}>}
+   */
+  scanString(value) {
+    const matches = [];
+    const seen = new Set();
+
+    for (const { provider, pattern, group } of PROVIDER_PATTERNS) {
+      for (const match of value.matchAll(pattern)) {
+        const secret = match[group || 0];
+        if (seen.has(secret)) continue;
+        seen.add(secret);
+        matches.push({ provider, secret, confidence: 'high' });
+      }
+    }
+
+    for (const [token] of value.matchAll(TOKEN_PATTERN)) {
+      if ([...seen].some(secret => secret.includes(token) || token.includes(secret))) continue;
+      if (!this.looksRandom(token)) continue;
+      seen.add(token);
+      matches.push({ provider: 'High-entropy string', secret: token, confidence: 'entropy' });
+    }
+
+    return matches;
+  }
+
+  /**
+   * Heuristic for generic secrets: mixed letters and digits, no obvious
+   * structure, and high entropy
+   */
+  looksRandom(token) {
+    if (UUID_PATTERN.test(token)) return false;
+    if (!/[0-9]/.test(token) || !/[a-zA-Z]/.test(token)) return false;
+    if (/^[a-z]+(?:[A-Z][a-z]+)+\d*$/.test(token)) return false;
+
+    const threshold = /^[0-9a-f]+$/i.test(token) ? 3.5 : this.entropyThreshold;
+    return shannonEntropy(token) >= threshold;
+  }
+
+  /**
+   * Whether a finding is covered by the allowlist
+   */
+  isAllowed(finding) {
+    return this.allowlist.some(entry =>
+      (entry.fingerprint && entry.fingerprint === finding.fingerprint) ||
+      (entry.regex && entry.regex.test(finding.secret)) ||
+      (entry.node && entry.node === finding.node && (!entry.path || entry.path === finding.path))
+    );
+  }
+
+  /**
+   * Scan every node's parameters
+   * @param {Object} workflow
+   * @returns {Array<Object>} Findings with node, path, provider, confidence, masked, fingerprint
+   */
+  scanWorkflow(workflow) {
+    const findings = [];
+
+    for (const node of workflow.nodes || []) {
+      walkStrings(node.parameters || {}, (value, pathArray) => {
+        for (const match of this.scanString(value)) {
+          const finding = {
+            node: node.name,
+            path: formatPath(pathArray),
+            parameterPath: pathArray,
+            provider: match.provider,
+            confidence: match.confidence,
+            secret: match.secret,
+            masked: maskSecret(match.secret),
+            fingerprint: fingerprint(match.secret)
+          };
+          if (!this.isAllowed(finding)) {
+            delete finding.secret;
+            findings.push(finding);
+          }
+        }
+      });
+    }
+
+    return findings;
+  }
+}
+
+module.exports = {
+  SecretScanner,
+  loadAllowlist,
+  shannonEntropy,
+  maskSecret
+};
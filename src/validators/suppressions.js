@@ -0,0 +1,168 @@
+/**
+ * Finding Suppressions
+ * Rules a workflow intentionally breaks, declared next to the workflow or in a repo baseline
+ *
+ * Sources:
+ *   node notes     a line "validator-disable: no-hardcoded-keys, http-timeout -- dummy test key"
+ *                  suppresses those rules for that node ("*" for every rule)
+ *   workflow meta  meta.validator.suppress: ["rule-id", { rule, node, reason }]
+ *   baseline file  [{ file, workflow, rule, node, reason }], e.g. config/validator-baseline.json;
+ *                  file (relative to the repo root) and workflow (id or name) scope an entry;
+ *                  node: null covers only findings about the workflow as a whole, and
+ *                  an entry without node covers every node
+ *
+ * Suppressed findings stay in reports with status "suppressed" and the source
+ * and reason, but do not count as errors or warnings or against the score.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const REPO_ROOT = path.join(__dirname, '..', '..');
+
+const NOTES_DIRECTIVE = /^\s*validator-disable\s*:?\s*([^\r\n]*?)(?:\s+--\s*([^\r\n]*))?\s*$/gm;
+
+/**
+ * Load a baseline file
+ * @param {string|null} filePath
+ * @returns {Array<Object>} Entries ({ file, workflow, rule, node, reason })
+ */
+function loadBaseline(filePath) {
+  if (!filePath) return [];
+
+  try {
+    const content = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    const entries = Array.isArray(content) ? content : content.suppressions;
+    if (!Array.isArray(entries)) throw new Error('expected an array of entries or { suppressions: [...] }');
+
+    const invalid = entries.findIndex(entry => !entry || typeof entry.rule !== 'string');
+    if (invalid !== -1) throw new Error(`entry ${invalid} has no rule id`);
+    return entries;
+  } catch (error) {
+    throw new Error(`Failed to load validator baseline ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Suppressions declared in node notes and workflow meta
+ * @param {Object} workflow - Normalized workflow
+ * @returns {Array<Object>} { source, rule, node, reason }
+ */
+function getInlineSuppressions(workflow) {
+  const suppressions = [];
+
+  for (const node of workflow.nodes) {
+    if (typeof node.notes !== 'string') continue;
+
+    for (const match of node.notes.matchAll(NOTES_DIRECTIVE)) {
+      for (const rule of match[1].split(/[\s,]+/).filter(Boolean)) {
+        suppressions.push({ source: 'notes', rule, node: node.name, reason: match[2] || null });
+      }
+    }
+  }
+
+  for (const entry of workflow.meta?.validator?.suppress || []) {
+    const suppression = typeof entry === 'string' ? { rule: entry } : entry;
+    if (!suppression || typeof suppression.rule !== 'string') continue;
+    suppressions.push({
+      source: 'meta',
+      rule: suppression.rule,
+      node: suppression.node || null,
+      reason: suppression.reason || null
+    });
+  }
+
+  return suppressions;
+}
+
+/**
+ * Repo-relative, forward-slash form of a file path for baseline matching
+ * @param {string} file
+ * @param {string} [baseDir] - Directory a relative path starts from (default: the working directory)
+ */
+function toBaselinePath(file, baseDir = process.cwd()) {
+  return path.relative(REPO_ROOT, path.resolve(baseDir, file)).split(path.sep).join('/');
+}
+
+/**
+ * Baseline entries that apply to one workflow
+ * @param {Array<Object>} baseline - From loadBaseline()
+ * @param {Object} workflow
+ * @param {string|null} file - File the workflow was read from
+ * @returns {Array<Object>} { source, rule, node, workflowLevel, reason }
+ */
+function getBaselineSuppressions(baseline, workflow, file) {
+  const filePath = file ? toBaselinePath(file) : null;
+  const workflowKeys = [workflow.id, workflow.name].filter(Boolean);
+
+  return baseline
+    .filter(entry => !entry.file || (filePath && toBaselinePath(entry.file, REPO_ROOT) === filePath))
+    .filter(entry => !entry.workflow || workflowKeys.includes(entry.workflow))
+    .map(entry => ({
+      source: 'baseline',
+      rule: entry.rule,
+      node: entry.node || null,
+      workflowLevel: entry.node === null,
+      reason: entry.reason || null
+    }));
+}
+
+/**
+ * Every suppression that applies to a workflow
+ * @param {Object} workflow - Normalized workflow
+ * @param {Object} options - { baseline, file }
+ * @returns {Array<Object>}
+ */
+function getSuppressions(workflow, options = {}) {
+  return [
+    ...getInlineSuppressions(workflow),
+    ...getBaselineSuppressions(options.baseline || [], workflow, options.file || null)
+  ];
+}
+
+/**
+ * The suppression covering a finding, if any
+ * @param {Array<Object>} suppressions - From getSuppressions()
+ * @param {Object} finding
+ * @returns {Object|null}
+ */
+function findSuppression(suppressions, finding) {
+  return suppressions.find(s =>
+    (s.rule === '*' || s.rule === finding.ruleId) &&
+    (s.workflowLevel ? finding.node === null : !s.node || s.node === finding.node)) || null;
+}
+
+/**
+ * Baseline entries for findings that are not yet suppressed, to accept them as they are
+ * @param {Array<{file: string, validation: Object}>} reports
+ * @param {Array<Object>} [existing] - Current baseline entries, kept as-is
+ * @returns {Array<Object>}
+ */
+function createBaseline(reports, existing = []) {
+  const entries = [...existing];
+  const seen = new Set(entries.map(entry => JSON.stringify([entry.file || null, entry.rule, entry.node === undefined ? '*' : entry.node])));
+
+  for (const { file, validation } of reports) {
+    for (const finding of validation.findings) {
+      if (finding.status === 'suppressed') continue;
+
+      // node: null marks a workflow-level finding; an entry without node would cover every node
+      const entry = { file: toBaselinePath(file), rule: finding.ruleId, node: finding.node };
+      const key = JSON.stringify([entry.file, entry.rule, entry.node]);
+      if (seen.has(key)) continue;
+
+      seen.add(key);
+      entries.push(entry);
+    }
+  }
+
+  return entries;
+}
+
+module.exports = {
+  loadBaseline,
+  getInlineSuppressions,
+  getSuppressions,
+  findSuppression,
+  createBaseline
+};
@@ -0,0 +1,179 @@
+/**
+ * Workflow Validation API
+ * Validates a workflow against the knowledge base and returns structured findings
+ *
+ * Usage:
+ *   const { validateWorkflow } = require('./validators/validate-workflow');
+ *   const result = await validateWorkflow(workflowJson, { minScore: 80 });
+ *   if (!result.valid) result.errors.forEach(e => console.log(e.node, e.message));
+ *
+ * Used by scripts/validate-workflow.js and N8nMCPSetup.validateWorkflow().
+ */
+
+const path = require('path');
+const KBLoader = require('../knowledge-base-loader');
+const domainRegistry = require('../domain-registry');
+const RuleEngine = require('./rule-engine');
+const { calculateQualityScore } = require('./quality-score');
+const { getTraceabilityMatrix } = require('./requirements');
+
+// One engine per set of custom rules directories, so check modules load once
+const engines = new Map();
+
+/**
+ * Rule engine with the custom rules of every domain (domains/<domain>/rules/)
+ * and of rulesDir
+ * @param {string} [rulesDir]
+ * @returns {RuleEngine}
+ */
+function getEngine(rulesDir) {
+  const dirs = [...domainRegistry.getRuleDirs(), ...(rulesDir ? [path.resolve(rulesDir)] : [])];
+  const key = dirs.join(path.delimiter);
+  if (!engines.has(key)) engines.set(key, new RuleEngine({ rulesDir: dirs }));
+  return engines.get(key);
+}
+
+/**
+ * Result for input the rules cannot run on: invalid JSON (json-syntax), or JSON
+ * that is not a workflow object (workflow-structure)
+ * @param {string} step - Check step that failed
+ * @param {Object} problem - { ruleId, pointer, message }
+ * @param {Object} options - validateWorkflow() options
+ */
+function createInputErrorResult(step, { ruleId, pointer, message }, options) {
+  const finding = {
+    ruleId,
+    category: 'structural',
+    severity: 'error',
+    node: null,
+    pointer,
+    message,
+    fix: null,
+    status: 'open'
+  };
+
+  return {
+    file: options.file || null,
+    valid: false,
+    checks: [{ step, status: 'FAIL', details: finding.message }],
+    errors: [finding],
+    warnings: [],
+    suppressed: [],
+    findings: [finding],
+    quality: { score: 0, minScore: options.minScore ?? null, passed: false, categories: {} }
+  };
+}
+
+/**
+ * What makes parsed JSON unusable as a workflow: a root or node entry that is not an object
+ * @returns {Object|null} { ruleId, pointer, message }
+ */
+function getStructureProblem(workflow) {
+  const describe = value => (value === null ? 'null' : Array.isArray(value) ? 'an array' : typeof value);
+  const isObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+  if (!isObject(workflow)) {
+    return { ruleId: 'workflow-structure', pointer: '', message: `Workflow must be a JSON object, got ${describe(workflow)}` };
+  }
+
+  const index = Array.isArray(workflow.nodes) ? workflow.nodes.findIndex(node => !isObject(node)) : -1;
+  if (index !== -1) {
+    return {
+      ruleId: 'workflow-structure',
+      pointer: `/nodes/${index}`,
+      message: `Node ${index} must be a JSON object, got ${describe(workflow.nodes[index])}`
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Validate a workflow
+ * @param {Object|string} workflowJson - Parsed workflow, or its JSON text
+ * @param {Object} [options]
+ * @param {Object} [options.kb] - Preloaded knowledge base (loaded when omitted)
+ * @param {Array<string>} [options.kbOverlays] - KB overlay directories, when kb is omitted
+ * @param {string} [options.brief] - Client brief for the coverage rules
+ * @param {number} [options.minScore] - Pass threshold for the quality score (0-100)
+ * @param {Array<Object>} [options.secretAllowlist] - Entries from loadAllowlist()
+ * @param {Map} [options.endpointRegistry] - buildEndpointRegistry() over a batch of files, for path
+ *   collisions; entries from options.file are this workflow's own
+ * @param {Array<Object>} [options.baseline] - Entries from loadBaseline(), matched by options.file
+ * @param {string} [options.rulesDir] - Directory of custom rule modules (see RuleEngine), besides the domains' rules/
+ * @param {string} [options.file] - Source file name, echoed in the result
+ * @returns {Promise<Object>} { file, valid, checks, errors, warnings, suppressed, findings, quality, summary, requirements }
+ *   errors and warnings hold open findings; findings also lists suppressed ones
+ */
+async function validateWorkflow(workflowJson, options = {}) {
+  let workflow = workflowJson;
+  if (typeof workflowJson === 'string') {
+    try {
+      workflow = JSON.parse(workflowJson);
+    } catch (error) {
+      return createInputErrorResult('JSON Syntax', { ruleId: 'json-syntax', pointer: '', message: `Invalid JSON: ${error.message}` }, options);
+    }
+  }
+
+  const problem = getStructureProblem(workflow);
+  if (problem) return createInputErrorResult('Workflow Structure', problem, options);
+
+  const kb = options.kb || await KBLoader.load(options.kbOverlays ? { overlays: options.kbOverlays } : {});
+  const minScore = options.minScore ?? null;
+
+  const engineOptions = {
+    brief: options.brief,
+    secretAllowlist: options.secretAllowlist || [],
+    endpointRegistry: options.endpointRegistry || null,
+    baseline: options.baseline || [],
+    file: options.file || null
+  };
+  const { checks, findings, graph } = getEngine(options.rulesDir).run(workflow, kb, engineOptions);
+  const nodes = Array.isArray(workflow.nodes) ? workflow.nodes : [];
+  const open = findings.filter(f => f.status === 'open');
+  const errors = open.filter(f => f.severity === 'error');
+  const quality = calculateQualityScore(checks, kb.validationScores);
+
+  return {
+    file: options.file || null,
+    valid: errors.length === 0,
+    checks: [{ step: 'JSON Syntax', status: 'PASS', details: 'Valid JSON' }, ...checks],
+    errors,
+    warnings: open.filter(f => f.severity !== 'error'),
+    suppressed: findings.filter(f => f.status === 'suppressed'),
+    findings,
+    quality: {
+      score: quality.score,
+      minScore,
+      passed: errors.length === 0 && (minScore === null || quality.score >= minScore),
+      categories: quality.categories
+    },
+    summary: {
+      totalNodes: nodes.length,
+      totalConnections: Object.keys(workflow.connections || {}).length,
+      credentialsRequired: nodes.filter(n => n.credentials).length,
+      gmailNodes: nodes.filter(n => n.type === 'n8n-nodes-base.gmail').length,
+      httpNodes: nodes.filter(n => n.type === 'n8n-nodes-base.httpRequest').length,
+      codeNodes: nodes.filter(n => n.type === 'n8n-nodes-base.code').length
+    },
+    // Traceability matrix from the brief to nodes (null without a brief)
+    requirements: getTraceabilityMatrix({ ...workflow, nodes }, { options: engineOptions, graph })
+  };
+}
+
+/**
+ * Rule metadata (id, name, category, severity, fix) for report formatters
+ * @param {Object} kb
+ * @param {Object} [options]
+ * @param {string} [options.rulesDir] - Directory of custom rule modules
+ * @returns {Array<Object>}
+ */
+function getRules(kb, options = {}) {
+  return getEngine(options.rulesDir).getRules(kb.validationRules);
+}
+
+module.exports = {
+  validateWorkflow,
+  getRules,
+  getStructureProblem
+};
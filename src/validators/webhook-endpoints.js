@@ -0,0 +1,86 @@
+/**
+ * Webhook Endpoints
+ * Public HTTP endpoints registered by webhook and form trigger nodes
+ *
+ * n8n serves webhooks under /webhook/<path> and forms under /form/<path>, so
+ * two nodes collide when they share prefix, path and (for webhooks) method.
+ * Nodes without an explicit path get a unique webhookId path and never collide.
+ */
+
+const path = require('path');
+
+const ENDPOINT_TYPES = {
+  'n8n-nodes-base.webhook': 'webhook',
+  'n8n-nodes-base.formTrigger': 'form'
+};
+
+/**
+ * Public endpoints of one workflow
+ * @param {Object} workflow
+ * @returns {Array<Object>} { node, prefix, method, path, key, url }
+ */
+function getEndpoints(workflow) {
+  const endpoints = [];
+
+  for (const node of Array.isArray(workflow?.nodes) ? workflow.nodes : []) {
+    const prefix = ENDPOINT_TYPES[node?.type];
+    const parameters = node?.parameters || {};
+    if (!prefix || typeof parameters.path !== 'string') continue;
+
+    const endpointPath = parameters.path.replace(/^\/+|\/+$/g, '');
+    if (!endpointPath || endpointPath === node.webhookId) continue;
+
+    const methods = prefix === 'form'
+      ? ['*']
+      : [].concat(parameters.httpMethod || parameters.method || 'GET').map(m => String(m).toUpperCase());
+
+    for (const method of methods) {
+      endpoints.push({
+        node: node.name,
+        prefix,
+        method,
+        path: endpointPath,
+        key: `${prefix} ${method} ${endpointPath}`,
+        url: `${method === '*' ? '' : `${method} `}/${prefix}/${endpointPath}`
+      });
+    }
+  }
+
+  return endpoints;
+}
+
+/**
+ * Index endpoints of several workflows (e.g. every file in a batch run)
+ * @param {Array<{file: string, workflow: Object}>} entries
+ * @returns {Map<string, Array<Object>>} Endpoint key -> { file, node }
+ */
+function buildEndpointRegistry(entries) {
+  const registry = new Map();
+
+  for (const { file, workflow } of entries) {
+    for (const endpoint of getEndpoints(workflow)) {
+      if (!registry.has(endpoint.key)) registry.set(endpoint.key, []);
+      registry.get(endpoint.key).push({ file, node: endpoint.node });
+    }
+  }
+
+  return registry;
+}
+
+/**
+ * Registry entries for an endpoint key from files other than the given one
+ * @param {Map} registry - From buildEndpointRegistry()
+ * @param {string} key - Endpoint key
+ * @param {string|null} file - File of the workflow being checked
+ * @returns {Array<Object>}
+ */
+function getOtherEndpoints(registry, key, file) {
+  const own = file ? path.resolve(file) : null;
+  return (registry.get(key) || []).filter(entry => path.resolve(entry.file) !== own);
+}
+
+module.exports = {
+  getEndpoints,
+  buildEndpointRegistry,
+  getOtherEndpoints
+};
@@ -0,0 +1,104 @@
+/**
+ * Workflow File Resolver
+ * Expands CLI inputs (files, directories, globs) into a list of workflow files
+ *
+ * Directories are searched recursively for *.json. Globs support *, ? and
+ * ** (any number of directories), e.g. "workflow-templates/api-*.json".
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const GLOB_CHARS = /[*?]/;
+const SKIPPED_DIRS = ['node_modules', '.git'];
+
+/**
+ * Convert a glob to a RegExp over forward-slash relative paths
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      const slash = pattern[i + 2] === '/';
+      source += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * All files below a directory, as forward-slash paths prefixed with dir
+ * @param {string} dir
+ * @returns {string[]}
+ */
+function listFiles(dir) {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (SKIPPED_DIRS.includes(entry.name)) continue;
+
+    const fullPath = path.posix.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...listFiles(fullPath));
+    } else if (entry.isFile()) {
+      files.push(fullPath);
+    }
+  }
+  return files.sort();
+}
+
+/**
+ * Expand a glob from its static directory prefix
+ */
+function expandGlob(pattern) {
+  const segments = pattern.split('/');
+  const firstGlob = segments.findIndex(segment => GLOB_CHARS.test(segment));
+  const base = segments.slice(0, firstGlob).join('/') || '.';
+  if (!fs.existsSync(base)) return [];
+
+  const matcher = globToRegExp(pattern.replace(/^\.\//, ''));
+  return listFiles(base)
+    .map(file => file.replace(/^\.\//, ''))
+    .filter(file => matcher.test(file));
+}
+
+/**
+ * Resolve files, directories and globs to a de-duplicated list of files
+ * @param {string[]} inputs
+ * @returns {string[]}
+ */
+function resolveWorkflowFiles(inputs) {
+  const files = [];
+
+  for (const input of inputs) {
+    const normalized = input.split(path.sep).join('/').replace(/\/+$/, '');
+
+    if (GLOB_CHARS.test(normalized)) {
+      const matches = expandGlob(normalized);
+      if (matches.length === 0) throw new Error(`No files match ${input}`);
+      files.push(...matches);
+    } else if (!fs.existsSync(normalized)) {
+      throw new Error(`No such file or directory: ${input}`);
+    } else if (fs.statSync(normalized).isDirectory()) {
+      files.push(...listFiles(normalized).filter(file => file.endsWith('.json')));
+    } else {
+      files.push(normalized);
+    }
+  }
+
+  return [...new Set(files)];
+}
+
+module.exports = {
+  globToRegExp,
+  resolveWorkflowFiles
+};
@@ -0,0 +1,237 @@
+/**
+ * Workflow Graph Model
+ * Directed graph over a workflow's nodes and connections of every type
+ *
+ * n8n connections are keyed by source node name, then connection type:
+ *   connections[source][type][outputIndex] = [{ node, type, index }]
+ *
+ * "main" edges carry items between nodes. Other types (ai_languageModel,
+ * ai_tool, ai_memory, ...) attach sub-nodes to the node that consumes them:
+ * the edge points from the sub-node to its consumer, so a sub-node counts as
+ * reachable when its consumer is.
+ */
+
+const { isTriggerNode } = require('./helpers');
+
+const BRANCHING_TYPES = [
+  'n8n-nodes-base.if',
+  'n8n-nodes-base.switch',
+  'n8n-nodes-base.filter',
+  'n8n-nodes-base.splitInBatches'
+];
+
+class WorkflowGraph {
+  /**
+   * @param {Object} workflow - Workflow with nodes array and connections object
+   */
+  constructor(workflow) {
+    this.nodes = new Map();
+    this.edges = [];
+    this.outgoing = new Map();
+    this.incoming = new Map();
+
+    for (const node of workflow.nodes || []) {
+      this.nodes.set(node.name, node);
+      this.outgoing.set(node.name, []);
+      this.incoming.set(node.name, []);
+    }
+
+    for (const [source, outputsByType] of Object.entries(workflow.connections || {})) {
+      for (const [type, outputs] of Object.entries(outputsByType || {})) {
+        (outputs || []).forEach((targets, outputIndex) => {
+          (targets || []).forEach(conn => {
+            if (!this.nodes.has(source) || !this.nodes.has(conn.node)) return;
+
+            const edge = { source, target: conn.node, type, outputIndex, inputIndex: conn.index || 0 };
+            this.edges.push(edge);
+            this.outgoing.get(source).push(edge);
+            this.incoming.get(conn.node).push(edge);
+          });
+        });
+      }
+    }
+  }
+
+  /**
+   * Names of direct successors along main edges
+   * @param {string} name
+   * @param {Object} [filter]
+   * @param {number} [filter.outputIndex] - Only follow this output
+   * @returns {string[]}
+   */
+  getChildren(name, { outputIndex } = {}) {
+    return (this.outgoing.get(name) || [])
+      .filter(e => e.type === 'main' && (outputIndex === undefined || e.outputIndex === outputIndex))
+      .map(e => e.target);
+  }
+
+  /**
+   * Names of direct predecessors along main edges
+   */
+  getParents(name) {
+    return (this.incoming.get(name) || []).filter(e => e.type === 'main').map(e => e.source);
+  }
+
+  /**
+   * Every node downstream of the start nodes along main edges, starts included
+   * @param {string[]} startNames
+   * @returns {Set<string>}
+   */
+  getDescendants(startNames) {
+    return this.traverse(startNames, name => this.getChildren(name));
+  }
+
+  /**
+   * Every node upstream of a node along main edges, excluding the node itself
+   * unless it sits on a cycle
+   * @param {string} name
+   * @returns {Set<string>}
+   */
+  getAncestors(name) {
+    return this.traverse(this.getParents(name), parent => this.getParents(parent));
+  }
+
+  /**
+   * Nodes that start executions: every trigger, webhook and Error Trigger
+   * @returns {Object[]}
+   */
+  getEntryPoints() {
+    return [...this.nodes.values()].filter(isTriggerNode);
+  }
+
+  /**
+   * Nodes reachable from any entry point, across all connection types
+   * @returns {Set<string>}
+   */
+  getReachable() {
+    return this.traverse(this.getEntryPoints().map(n => n.name), name => [
+      ...this.outgoing.get(name).filter(e => e.type === 'main').map(e => e.target),
+      // Sub-nodes (language models, tools, memory) feed their consumer
+      ...this.incoming.get(name).filter(e => e.type !== 'main').map(e => e.source)
+    ]);
+  }
+
+  /**
+   * Strongly connected components that form cycles (Tarjan's algorithm)
+   * @returns {Array<string[]>} Node names per cycle
+   */
+  getCycles() {
+    const index = new Map();
+    const lowLink = new Map();
+    const onStack = new Set();
+    const stack = [];
+    const cycles = [];
+    let counter = 0;
+
+    const visit = name => {
+      index.set(name, counter);
+      lowLink.set(name, counter);
+      counter++;
+      stack.push(name);
+      onStack.add(name);
+
+      for (const child of this.getChildren(name)) {
+        if (!index.has(child)) {
+          visit(child);
+          lowLink.set(name, Math.min(lowLink.get(name), lowLink.get(child)));
+        } else if (onStack.has(child)) {
+          lowLink.set(name, Math.min(lowLink.get(name), index.get(child)));
+        }
+      }
+
+      if (lowLink.get(name) === index.get(name)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== name);
+
+        if (component.length > 1 || this.getChildren(name).includes(name)) {
+          cycles.push(component.reverse());
+        }
+      }
+    };
+
+    for (const name of this.nodes.keys()) {
+      if (!index.has(name)) visit(name);
+    }
+    return cycles;
+  }
+
+  /**
+   * Whether a cycle can terminate: it runs through SplitInBatches (which stops
+   * once its items are exhausted), or some branching node in it has an edge
+   * leaving the cycle
+   * @param {string[]} cycle
+   * @returns {boolean}
+   */
+  isCycleBounded(cycle) {
+    const members = new Set(cycle);
+    return cycle.some(name => {
+      const type = this.nodes.get(name).type;
+      if (type === 'n8n-nodes-base.splitInBatches') return true;
+      return BRANCHING_TYPES.includes(type) && this.getChildren(name).some(child => !members.has(child));
+    });
+  }
+
+  /**
+   * Outputs of multi-output nodes that lead nowhere
+   * (IF/Switch branches, SplitInBatches done/loop, continueErrorOutput error output)
+   * @returns {Array<{node: string, outputIndex: number}>}
+   */
+  getDanglingOutputs() {
+    const dangling = [];
+
+    for (const node of this.nodes.values()) {
+      const outputCount = this.getOutputCount(node);
+      if (outputCount < 2) continue;
+
+      for (let outputIndex = 0; outputIndex < outputCount; outputIndex++) {
+        if (this.getChildren(node.name, { outputIndex }).length === 0) {
+          dangling.push({ node: node.name, outputIndex });
+        }
+      }
+    }
+
+    return dangling;
+  }
+
+  /**
+   * Number of main outputs a node exposes
+   */
+  getOutputCount(node) {
+    if (node.type === 'n8n-nodes-base.switch') {
+      const declared = node.parameters?.rules?.values?.length || node.parameters?.rules?.rules?.length;
+      const connected = this.outgoing.get(node.name)
+        .filter(e => e.type === 'main')
+        .reduce((max, e) => Math.max(max, e.outputIndex + 1), 0);
+      return Math.max(declared || 0, connected);
+    }
+    if (node.type === 'n8n-nodes-base.if' || node.type === 'n8n-nodes-base.splitInBatches') {
+      return node.type === 'n8n-nodes-base.splitInBatches' && Number(node.typeVersion) < 3 ? 1 : 2;
+    }
+    return node.onError === 'continueErrorOutput' ? 2 : 1;
+  }
+
+  /**
+   * Breadth-first traversal
+   * @param {string[]} startNames
+   * @param {Function} next - Returns neighbour names for a node
+   * @returns {Set<string>}
+   */
+  traverse(startNames, next) {
+    const visited = new Set();
+    const queue = [...startNames];
+    while (queue.length > 0) {
+      const name = queue.shift();
+      if (visited.has(name) || !this.nodes.has(name)) continue;
+      visited.add(name);
+      queue.push(...next(name));
+    }
+    return visited;
+  }
+}
+
+module.exports = WorkflowGraph;